@@ -0,0 +1,28 @@
+// Entry point
+// Checks for WebGL before anything else loads. Without it there's no park:
+// the projects are shown as a plain page instead, and main.js (with its
+// sounds, renderer and models) is never even fetched.
+import WebGL from "three/addons/capabilities/WebGL.js";
+import { renderFallbackPage } from "./modules/fallbackPage.js";
+
+function showFallbackPage() {
+  const page = document.querySelector(".fallback-page");
+  document.getElementById("loadingScreen").remove();
+  page.querySelector(".fallback-note").textContent =
+    "Your browser can't show the 3D park (WebGL isn't available), so " +
+    "here are the projects in it instead.";
+  page.classList.remove("hidden");
+
+  fetch("./content.json")
+    .then((response) => response.json())
+    .then((manifest) => {
+      renderFallbackPage(manifest, page.querySelector(".fallback-projects"));
+    })
+    .catch((error) => console.error(error));
+}
+
+if (WebGL.isWebGLAvailable()) {
+  import("./main.js");
+} else {
+  showFallbackPage();
+}
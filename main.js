@@ -1,64 +1,131 @@
+// The park itself, loaded by bootstrap.js once WebGL is known to work.
+//
 // Core imports
 // - three: main 3D library
 // - OrbitControls: user camera controls (mouse/touch)
 // - GLTFLoader: loads .glb / .gltf model files
-// - Octree, Capsule: helper math/physics utilities from three/examples
+// - Octree: helper math/physics utility from three/examples
+// - PlayerController: our hop movement and collision logic (no DOM)
+// - CameraRig: damped follow camera with look-ahead and bounds
 import * as THREE from "three";
 import { OrbitControls } from "three/addons/controls/OrbitControls.js";
 import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
 import { Octree } from "three/addons/math/Octree.js";
-import { Capsule } from "three/addons/math/Capsule.js";
+import { PlayerController } from "./modules/playerController.js";
+import { CameraRig } from "./modules/cameraRig.js";
+import {
+  LIGHTING_MODES,
+  createLightingState,
+  copyLightingState,
+  blendLightingStates,
+  getClockLightingState,
+} from "./modules/lighting.js";
+import { loadSetting, saveSetting } from "./modules/storage.js";
+import {
+  createNightLights,
+  setNightLightAmount,
+} from "./modules/nightLights.js";
+import {
+  createContentRegistry,
+  auditSceneContent,
+} from "./modules/contentRegistry.js";
+import { renderMarkdown } from "./modules/markdown.js";
+import { AudioManager } from "./modules/audioManager.js";
+import { MusicDirector } from "./modules/musicDirector.js";
+import { LINK_LABELS, renderFallbackPage } from "./modules/fallbackPage.js";
+import { configureGLTFLoader } from "./modules/gltfDecoders.js";
+import { GamepadInput } from "./modules/gamepadInput.js";
+import { NavGrid } from "./modules/navGrid.js";
+import { MovementInput } from "./modules/movementInput.js";
+import { TouchControls } from "./modules/touchControls.js";
+import { registerServiceWorker } from "./modules/serviceWorker.js";
+import { AchievementTracker } from "./modules/achievements.js";
+import { GuidedTour } from "./modules/guidedTour.js";
+import {
+  QUALITY_TIERS,
+  getDefaultQuality,
+  applyShadowCasters,
+  PerformanceGovernor,
+} from "./modules/quality.js";
 
 // Audio with Howler.js
-// `sounds` stores Howl objects for playback of background music and SFX
-const sounds = {
-  backgroundMusic: new Howl({
-    src: ["./sfx/music.ogg"],
-    loop: true,
-    volume: 0.3,
-    preload: true,
-  }),
-
-  projectsSFX: new Howl({
-    src: ["./sfx/projects.ogg"],
-    volume: 0.5,
-    preload: true,
-  }),
-
-  pokemonSFX: new Howl({
-    src: ["./sfx/pokemon.ogg"],
-    volume: 0.5,
-    preload: true,
-  }),
-
-  jumpSFX: new Howl({
-    src: ["./sfx/jumpsfx.ogg"],
-    volume: 1.0,
-    preload: true,
-  }),
-};
+// `audio` owns the Howl objects for background music and SFX, split into a
+// "music" and an "sfx" bus that each have their own volume and mute (see
+// modules/audioManager.js). Saved bus settings are applied right away, so
+// they're in place before the enter button starts anything. Interaction
+// sounds are `spatial`: they play from the object that made them and the
+// listener follows the character (see updateAudioListener).
+const audio = new AudioManager(
+  {
+    // Music tracks don't loop; the music director picks what's next.
+    backgroundMusic: {
+      bus: "music",
+      title: "Park theme",
+      src: ["./sfx/music.ogg"],
+      volume: 0.3,
+      preload: true,
+    },
+
+    projectsSFX: {
+      bus: "sfx",
+      src: ["./sfx/projects.ogg"],
+      volume: 0.5,
+      preload: true,
+      spatial: true,
+    },
+
+    pokemonSFX: {
+      bus: "sfx",
+      src: ["./sfx/pokemon.ogg"],
+      volume: 0.5,
+      preload: true,
+      spatial: true,
+    },
+
+    jumpSFX: {
+      bus: "sfx",
+      src: ["./sfx/jumpsfx.ogg"],
+      volume: 1.0,
+      preload: true,
+    },
+  },
+  loadSetting("audio", {})
+);
+
+audio.addEventListener("change", ({ state }) => saveSetting("audio", state));
 
 // Notes on audio:
 // - Howl instances begin loading when created (preload: true).
 // - Browsers often block autoplay; playback is invoked after a user gesture
 //   (see the enterButton click handler later which starts background music).
-// - `isMuted` controls whether playSound actually calls Howl.play().
+// - A muted bus makes playSound a no-op for the sounds on it.
+
+// The music director plays content.json's playlist and switches to an
+// area's own tune inside its music zone. Created with the registry.
+let musicDirector = null;
 
 // Input flags
 let touchHappened = false; // true when a touch interaction has occurred (used to prevent double handling)
 
-// Audio mute state
-let isMuted = false; // toggle to silence audio
-
 function playSound(soundId) {
-  if (!isMuted && sounds[soundId]) {
-    sounds[soundId].play();
-  }
+  audio.play(soundId);
 }
 
 function stopSound(soundId) {
-  if (sounds[soundId]) {
-    sounds[soundId].stop();
+  audio.stop(soundId);
+}
+
+// Plays a sound from the interactive node `name`, so it pans and fades with
+// the character's distance. Falls back to a flat sound before the park has
+// been measured.
+const soundPosition = new THREE.Vector3();
+
+function playSoundAt(soundId, name) {
+  const bounds = interactionBounds.get(name);
+  if (bounds) {
+    audio.playAt(soundId, bounds.getCenter(soundPosition));
+  } else {
+    audio.play(soundId);
   }
 }
 
@@ -66,9 +133,11 @@ function stopSound(soundId) {
 // behavior is easy to enforce and change in one place.
 
 // three.js setup
-// Create the main scene and set a background color
+// Create the main scene. Background and fog colors are set by the lighting
+// presets (see "Lighting presets and theme" below).
 const scene = new THREE.Scene();
 scene.background = new THREE.Color(0xaec972);
+scene.fog = new THREE.Fog(0xaec972, 200, 600);
 // Get the canvas element from the HTML where we'll render the scene
 const canvas = document.getElementById("experience-canvas");
 // Track current viewport sizes for camera/renderer updates
@@ -77,55 +146,69 @@ const sizes = {
   height: window.innerHeight,
 };
 
-// Physics configuration and runtime state
-// Constants used for player physics simulation
-const GRAVITY = 30; // gravitational acceleration applied when in air
-const CAPSULE_RADIUS = 0.35; // collision capsule radius
-const CAPSULE_HEIGHT = 1; // collision capsule height
-const JUMP_HEIGHT = 11; // initial upward velocity when jumping
-const MOVE_SPEED = 7; // horizontal movement speed
-
 // Character runtime state
 let character = {
   instance: null, // the Object3D used for character position/rotation
-  isMoving: false,
   spawnPosition: new THREE.Vector3(),
 };
-let targetRotation = Math.PI / 2; // desired yaw orientation
 
-// Collision structure: octree for environment, capsule for player
+// Movement sources, combined into one vector that the player controller
+// reads on every physics step (see modules/movementInput.js). The gamepad
+// and tap-to-move add their own sticks further down.
+const movementInput = new MovementInput();
+const keyboardButtons = movementInput.addButtons("keyboard");
+const mobileButtons = movementInput.addButtons("mobile");
+
+// Collision structure: octree for the environment. The player's capsule,
+// velocity and hop state live in the PlayerController (tuning constants
+// such as gravity and jump height are in PLAYER_DEFAULTS there).
 const colliderOctree = new Octree();
-const playerCollider = new Capsule(
-  new THREE.Vector3(0, CAPSULE_RADIUS, 0),
-  new THREE.Vector3(0, CAPSULE_HEIGHT, 0),
-  CAPSULE_RADIUS
-);
+const playerController = new PlayerController({
+  collider: colliderOctree,
+  input: movementInput,
+});
 
-// Player physics state
-let playerVelocity = new THREE.Vector3();
-let playerOnFloor = false; // set true when collision normal indicates floor contact
+// Fixed-timestep simulation
+// Physics advances in fixed steps driven by a real clock, so the character
+// hops the same on 60Hz, 144Hz and throttled displays. Leftover frame time
+// carries over in an accumulator and the rendered position is interpolated
+// between the last two steps so high refresh rates still look smooth.
+// Gravity, jump height and move speed were tuned at 0.035 "physics
+// seconds" per 60Hz frame, i.e. 2.1x real time; SIMULATION_SPEED keeps
+// that feel.
+const PHYSICS_STEP = 1 / 120; // real seconds per step (2 substeps at 60Hz)
+const SIMULATION_SPEED = 2.1; // physics seconds per real second
+const MAX_FRAME_DELTA = 0.25; // cap catch-up after a hitch or hidden tab
+const physicsClock = new THREE.Clock();
+let physicsAccumulator = 0;
+
+// Quality tier (see modules/quality.js and "Graphics quality" below).
+// "auto" lets the performance governor choose, starting from whatever it
+// settled on last visit; otherwise the visitor's pick sticks.
+let qualityMode = loadSetting("quality", "auto");
+if (qualityMode !== "auto" && !QUALITY_TIERS[qualityMode]) {
+  qualityMode = "auto";
+}
+let qualityLevel =
+  qualityMode === "auto" ? loadSetting("autoQuality", null) : qualityMode;
+if (!QUALITY_TIERS[qualityLevel]) qualityLevel = getDefaultQuality();
 
 // Renderer configuration
-// Create WebGL renderer bound to the canvas element and enable antialiasing
-// Tone mapping and shadow map settings improve final image quality
+// Create WebGL renderer bound to the canvas element. Antialiasing can only
+// be chosen here; pixel ratio, shadow map and tone mapping are set by the
+// quality tier (see applyQuality).
 // See threejs docs for renderer options
 const renderer = new THREE.WebGLRenderer({
   canvas: canvas,
-  antialias: true,
+  antialias: QUALITY_TIERS[qualityLevel].antialias,
 });
 
-// Set renderer viewport and pixel ratio to look sharp on high-DPI displays
 renderer.setSize(sizes.width, sizes.height);
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-// Shadow map configuration
-renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-renderer.shadowMap.enabled = true;
-// Optional filmic tone mapping for nicer colors
-renderer.toneMapping = THREE.ACESFilmicToneMapping;
 renderer.toneMappingExposure = 1.7;
 
 // Some of our DOM elements, others are scattered in the file
 let isModalOpen = false;
+let modalReturnFocus = null; // element to refocus when the modal closes
 const modal = document.querySelector(".modal");
 const modalbgOverlay = document.querySelector(".modal-bg-overlay");
 const modalTitle = document.querySelector(".modal-title");
@@ -133,9 +216,13 @@ const modalProjectDescription = document.querySelector(
   ".modal-project-description"
 );
 const modalExitButton = document.querySelector(".modal-exit-button");
-const modalVisitProjectButton = document.querySelector(
-  ".modal-project-visit-button"
-);
+const modalLinks = document.querySelector(".modal-links");
+const modalTags = document.querySelector(".modal-tags");
+const modalGallery = document.querySelector(".modal-gallery");
+const modalGalleryImage = document.querySelector(".modal-gallery-image");
+const modalGalleryCounter = document.querySelector(".modal-gallery-counter");
+const modalGalleryPrev = document.querySelector(".modal-gallery-prev");
+const modalGalleryNext = document.querySelector(".modal-gallery-next");
 const themeToggleButton = document.querySelector(".theme-mode-toggle-button");
 const firstIcon = document.querySelector(".first-icon");
 const secondIcon = document.querySelector(".second-icon");
@@ -145,61 +232,278 @@ const firstIconTwo = document.querySelector(".first-icon-two");
 const secondIconTwo = document.querySelector(".second-icon-two");
 
 // Modal stuff
-const modalContent = {
-  Project_1: {
-    title: "My Portfolio",
-    content:
-      "This portfolio was created using React. The inspiration for the theme was based on 80's retro arcade games. The site is mobile and desktop responsive, with additional functionality including an app-wide music player that is saved in the app state.",
-    link: "https://shubbu-portfolio.netlify.app/?",
-  },
-  Project_2: {
-    title: "Moviesflix",
-    content:
-      "Flixer is a clone of Netflix's web interface. This app was created using React functional components, Redux state management, axios async/await requests, and deployed on Google Firebase. Firebase Authentication allows user account creation, and Firebase Firestore is the database used to store customer and product records. Additional functionality includes customer subscription checkout powered by the Stripe Firebase Extension and Stripe API integration. Once a user is subscribed, movie data is pulled from The Movie Database (TMDB) for trending movies and movie poster images. Movie trailers are integrated from YouTube if one is successfully found.",
-    link: "https://flix-97e6f.web.app/profile",
-  },
-  Project_3: {
-    title: "Google Docs Clone",
-    content:
-      "GOOGLE DOCS Clone made using Next.js, Rich Text Editor, Tailwind CSS & Firebase. GOOGLE DOCS build using functionality like NextAuth,Firebase,Rich Text Editor:RichTextEditor is the main editor component. It is comprised of the Draft.js <Editor>, some UI components (e.g. toolbar) and some helpful abstractions around getting and setting content with HTML/Markdown. RichTextEditor is designed to be used like a textarea except that instead of value being a string, it is an object with toString on it. Creating a value from a string is also easy using createValueFromString(markup, 'html')",
-    link: "https://google-docs-beta.vercel.app/",
-  },
-  Picnic: {
-    title: "🍷 Uggh yesss 🧺",
-    content:
-      " Picnics are my thanggg don't @ me. Lying down with some good grape juice inna wine glass and a nice book at a park is my total vibe. If this isn't max aura points 💯 idk what is.",
-  },
-  Chest: {
-    title: "Treasure Chest",
-    content: "Yarr! Ye found me treasure chest! But alas, it's empty. The real treasure be the friends we made along the way!",
+// Modal text, links and the rest of the interactive content come from the
+// content registry (see modules/contentRegistry.js and content.json).
+let contentRegistry = null;
+
+// Handlers for "custom" entries in content.json, keyed by their `handler`
+// name. Each one receives the node name and its registry entry.
+const customInteractions = {};
+
+// Gallery state for the currently open modal. Images are only requested
+// when their slide is shown, so closed modals never download screenshots.
+let galleryMedia = [];
+let galleryIndex = 0;
+
+function showGallerySlide(index) {
+  galleryIndex = (index + galleryMedia.length) % galleryMedia.length;
+  const item = galleryMedia[galleryIndex];
+  modalGalleryImage.src = item.src;
+  modalGalleryImage.alt = item.alt || "";
+  modalGalleryCounter.textContent = `${galleryIndex + 1} / ${
+    galleryMedia.length
+  }`;
+}
+
+function renderModalGallery(media) {
+  galleryMedia = media || [];
+  modalGalleryImage.removeAttribute("src");
+
+  if (galleryMedia.length === 0) {
+    modalGallery.classList.add("hidden");
+    return;
   }
-};
+
+  const hasSeveral = galleryMedia.length > 1;
+  modalGalleryPrev.classList.toggle("hidden", !hasSeveral);
+  modalGalleryNext.classList.toggle("hidden", !hasSeveral);
+  modalGallery.classList.remove("hidden");
+  showGallerySlide(0);
+}
+
+function renderModalTags(tags) {
+  modalTags.replaceChildren(
+    ...(tags || []).map((tag) => {
+      const item = document.createElement("li");
+      item.className = "modal-tag";
+      item.textContent = tag;
+      return item;
+    })
+  );
+  modalTags.classList.toggle("hidden", modalTags.children.length === 0);
+}
+
+function renderModalLinks(links) {
+  modalLinks.replaceChildren(
+    ...(links || []).map((link) => {
+      const button = document.createElement("a");
+      button.className = "modal-project-visit-button";
+      if (link.kind) button.classList.add(`modal-link-${link.kind}`);
+      button.href = link.href;
+      button.target = "_blank";
+      button.rel = "noopener noreferrer";
+      button.textContent = link.label || LINK_LABELS[link.kind];
+      return button;
+    })
+  );
+}
 
 function showModal(id) {
-  const content = modalContent[id];
-  if (content) {
-    modalTitle.textContent = content.title;
-    modalProjectDescription.textContent = content.content;
+  const content = contentRegistry && contentRegistry.get(id);
+  if (content && content.type === "modal") {
+    // Deep links open modals too, and they count as finding the project.
+    if (achievements) achievements.markFound(id);
+    const text =
+      achievements && achievements.isComplete() && content.completeContent
+        ? content.completeContent
+        : content.content;
 
-    if (content.link) {
-      modalVisitProjectButton.href = content.link;
-      modalVisitProjectButton.classList.remove("hidden");
-    } else {
-      modalVisitProjectButton.classList.add("hidden");
+    modalTitle.textContent = content.title;
+    renderMarkdown(text || "", modalProjectDescription);
+    renderModalGallery(content.media);
+    renderModalTags(content.tags);
+    renderModalLinks(content.links);
+
+    // Remember who had focus so closing the dialog puts the visitor back
+    // where they were, and stop the character from walking on its own
+    // with whatever keys were held when the modal opened.
+    if (!isModalOpen) {
+      modalReturnFocus = document.activeElement;
     }
+    releaseGameInput();
+
     modal.classList.remove("hidden");
     modalbgOverlay.classList.remove("hidden");
     isModalOpen = true;
+    renderTour();
+    modalExitButton.focus();
+    audio.setDucked(true);
+
+    // Ease the camera over to what we're reading about.
+    const bounds = interactionBounds.get(id);
+    if (bounds) {
+      cameraRig.focusOn(bounds.getCenter(new THREE.Vector3()));
+    }
+
+    // Give the project its own URL, so it can be shared and Back closes it.
+    if (getHashProject() !== id) {
+      history.pushState({ project: id }, "", getProjectUrl(id));
+    }
   }
 }
 
 function hideModal() {
+  if (!isModalOpen) return;
+
   isModalOpen = false;
   modal.classList.add("hidden");
   modalbgOverlay.classList.add("hidden");
-  if (!isMuted) {
-    playSound("projectsSFX");
+  renderTour();
+  audio.setDucked(false);
+  playSound("projectsSFX");
+
+  cameraRig.release();
+
+  if (modalReturnFocus && document.contains(modalReturnFocus)) {
+    modalReturnFocus.focus();
   }
+  modalReturnFocus = null;
+  leaveProjectUrl();
+}
+
+// Modal keyboard handling
+// While the dialog is open it owns the keyboard: Escape closes it, Tab and
+// Shift+Tab cycle through its focusable elements instead of escaping to
+// the page behind, and nothing reaches the movement code.
+const FOCUSABLE_SELECTOR =
+  'a[href], button:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+function getModalFocusables() {
+  return [...modal.querySelectorAll(FOCUSABLE_SELECTOR)].filter(
+    (element) => !element.closest(".hidden")
+  );
+}
+
+function handleModalKeyDown(event) {
+  if (event.key === "Escape") {
+    event.preventDefault();
+    hideModal();
+    return;
+  }
+
+  if (event.key !== "Tab") return;
+
+  const focusables = getModalFocusables();
+  if (focusables.length === 0) {
+    event.preventDefault();
+    modal.focus();
+    return;
+  }
+
+  const first = focusables[0];
+  const last = focusables[focusables.length - 1];
+  const current = document.activeElement;
+
+  if (event.shiftKey && (current === first || !modal.contains(current))) {
+    event.preventDefault();
+    last.focus();
+  } else if (
+    !event.shiftKey &&
+    (current === last || !modal.contains(current))
+  ) {
+    event.preventDefault();
+    first.focus();
+  }
+}
+
+// Deep links
+// An open project modal shows up in the URL as #project/<id>, so a project
+// can be linked to directly and the browser's Back and Forward close and
+// reopen modals instead of leaving the park. Opening the park with such a
+// link skips the enter button: the character starts next to the project
+// with its modal open, and audio waits for the first tap or key press
+// (browsers won't play it before a gesture).
+const PROJECT_HASH_PREFIX = "#project/";
+const DEEP_LINK_DISTANCE = 2; // world units from the object to stand at
+
+// The project id in the URL, or "".
+function getHashProject() {
+  if (!location.hash.startsWith(PROJECT_HASH_PREFIX)) return "";
+  try {
+    return decodeURIComponent(location.hash.slice(PROJECT_HASH_PREFIX.length));
+  } catch (error) {
+    return ""; // malformed escape, e.g. a truncated link
+  }
+}
+
+function getProjectUrl(id) {
+  return `${PROJECT_HASH_PREFIX}${encodeURIComponent(id)}`;
+}
+
+function getBaseUrl() {
+  return location.pathname + location.search;
+}
+
+// Takes #project/<id> back off the URL when the modal closes: through
+// history if we pushed it, otherwise by replacing it.
+function leaveProjectUrl() {
+  if (!getHashProject()) return;
+  if (history.state && history.state.project) {
+    history.back();
+  } else {
+    history.replaceState(null, "", getBaseUrl());
+  }
+}
+
+function onPopState() {
+  if (!hasEnteredPark) return;
+  const id = getHashProject();
+  if (id) {
+    showModal(id);
+  } else {
+    hideModal();
+  }
+}
+
+// Stands the character a little way out from `name`, on the side facing
+// the spawn point, looking at it.
+function placeCharacterNear(name) {
+  const bounds = interactionBounds.get(name);
+  const grid = getNavGrid();
+  if (!bounds || !grid || !character.instance) return;
+
+  const spot = bounds.clampPoint(character.spawnPosition, new THREE.Vector3());
+  const outward = new THREE.Vector3()
+    .subVectors(character.spawnPosition, spot)
+    .setY(0);
+  spot.add(outward.setLength(DEEP_LINK_DISTANCE));
+  const cell = grid.findNearestWalkable(spot);
+  if (cell === -1) return;
+  grid.getCellCenter(cell, spot);
+
+  const center = bounds.getCenter(new THREE.Vector3());
+  playerController.teleport(spot);
+  playerController.rotation = Math.atan2(center.x - spot.x, center.z - spot.z);
+  playerController.targetRotation = playerController.rotation;
+  character.instance.position.copy(spot);
+  syncCharacterRotation();
+  cameraRig.snapTo(spot);
+}
+
+// Called once loading is done. Returns false when the URL doesn't name a
+// project, so the enter button shows as usual.
+function openInitialProject() {
+  const id = getHashProject();
+  const entry = id && contentRegistry && contentRegistry.get(id);
+  if (!entry || entry.type !== "modal") {
+    if (id) {
+      console.warn(`[content] no project named "${id}" to link to`);
+      history.replaceState(null, "", getBaseUrl());
+    }
+    return false;
+  }
+
+  if (isTextMode) setTextMode(false);
+  enterPark();
+  placeCharacterNear(id);
+  // Re-add the hash as a history entry of our own, so Back closes the
+  // modal rather than leaving.
+  history.replaceState(null, "", getBaseUrl());
+  showModal(id);
+
+  window.addEventListener("pointerdown", startAudio, { once: true });
+  window.addEventListener("keydown", startAudio, { once: true });
+  return true;
 }
 
 // Our Intersecting objects
@@ -208,19 +512,6 @@ const pointer = new THREE.Vector2();
 
 let intersectObject = "";
 const intersectObjects = [];
-const intersectObjectsNames = [
-  "Project_1",
-  "Project_2",
-  "Project_3",
-  "Picnic",
-  "Squirtle",
-  "Chicken",
-  "Pikachu",
-  "Bulbasaur",
-  "Charmander",
-  "Snorlax",
-  "Chest",
-];
 
 // Loading screen and loading manager
 // See: https://threejs.org/docs/#api/en/loaders/managers/LoadingManager
@@ -229,23 +520,164 @@ const loadingText = document.querySelector(".loading-text");
 const enterButton = document.querySelector(".enter-button");
 const instructions = document.querySelector(".instructions");
 
+const loadingProgress = document.querySelector(".loading-progress");
+const loadingProgressBar = document.querySelector(".loading-progress-bar");
+const loadingDetail = document.querySelector(".loading-detail");
+const loadingError = document.querySelector(".loading-error");
+const loadingErrorList = document.querySelector(".loading-error-list");
+const loadingRetryButton = document.querySelector(".loading-retry-button");
+const loadingSkipButton = document.querySelector(".loading-skip-button");
+let hasEnteredPark = false; // the loading screen is out of the way
+
+// Every asset (content.json, the GLB and each Howl) goes through the
+// manager, so itemsLoaded/itemsTotal cover the whole download. The GLB is
+// by far the biggest, so its byte progress is folded in as a fraction of
+// an item while it streams. Failures are collected with a way to retry
+// them; `optional` ones (audio) can be skipped.
 const manager = new THREE.LoadingManager();
+const loadingPartial = new Map(); // url -> 0..1 for items still streaming
+const loadFailures = new Map(); // url -> { label, retry, optional }
+let loadingCounts = { loaded: 0, total: 0 };
+
+function getFileName(url) {
+  return url.split("/").pop();
+}
+
+function renderLoadingProgress() {
+  const { loaded, total } = loadingCounts;
+  let partial = 0;
+  loadingPartial.forEach((fraction) => (partial += fraction));
+  const percent =
+    total > 0 ? Math.round(((loaded + partial) / total) * 100) : 0;
+
+  loadingProgressBar.style.width = `${percent}%`;
+  loadingProgress.setAttribute("aria-valuenow", String(percent));
+}
+
+function reportLoadFailure(url, label, retry, optional = false) {
+  loadFailures.set(url, { label, retry, optional });
+}
+
+manager.onStart = function (url, loaded, total) {
+  loadingCounts = { loaded, total };
+  renderLoadingProgress();
+};
+
+manager.onProgress = function (url, loaded, total) {
+  loadingCounts = { loaded, total };
+  loadingPartial.delete(url);
+  loadingDetail.textContent = `${getFileName(url)} (${loaded}/${total})`;
+  renderLoadingProgress();
+};
+
+manager.onError = function (url) {
+  console.error(`[loading] failed to load ${url}`);
+};
+
+// Howls load themselves, so they're reported to the manager by hand.
+function trackSoundLoading(id) {
+  const sound = audio.sounds[id];
+  const url = [].concat(audio.definitions[id].src)[0];
+  if (sound.state() === "loaded") return;
+
+  manager.itemStart(url);
+  sound.once("load", () => manager.itemEnd(url));
+  sound.once("loaderror", () => {
+    reportLoadFailure(
+      url,
+      `Sound: ${getFileName(url)}`,
+      () => {
+        trackSoundLoading(id);
+        sound.load();
+      },
+      true
+    );
+    manager.itemError(url);
+    manager.itemEnd(url);
+  });
+}
+
+audio.ids().forEach(trackSoundLoading);
+
+function showLoadError() {
+  const failures = [...loadFailures.values()];
+  loadingErrorList.replaceChildren(
+    ...failures.map(({ label }) => {
+      const item = document.createElement("li");
+      item.textContent = label;
+      return item;
+    })
+  );
+  // The park works without sound, so audio alone doesn't block entry.
+  loadingSkipButton.classList.toggle(
+    "hidden",
+    !failures.every(({ optional }) => optional)
+  );
+  [loadingText, loadingProgress, loadingDetail].forEach((element) =>
+    element.classList.add("hidden")
+  );
+  loadingError.classList.remove("hidden");
+  loadingRetryButton.focus();
+}
+
+function hideLoadError() {
+  loadingError.classList.add("hidden");
+  [loadingText, loadingProgress, loadingDetail].forEach((element) =>
+    element.classList.remove("hidden")
+  );
+}
+
+loadingRetryButton.addEventListener("click", () => {
+  const failures = [...loadFailures.values()];
+  loadFailures.clear();
+  hideLoadError();
+  failures.forEach(({ retry }) => retry());
+});
+
+loadingSkipButton.addEventListener("click", () => {
+  loadFailures.clear();
+  hideLoadError();
+  finishLoading();
+});
 
 manager.onLoad = function () {
+  if (loadFailures.size > 0) {
+    showLoadError();
+  } else {
+    finishLoading();
+  }
+};
+
+function finishLoading() {
+  if (!openInitialProject()) showEnterButton();
+  streamParkChunks();
+  // Not before now, so precaching doesn't slow down the first load.
+  registerServiceWorker(showUpdatePrompt);
+}
+
+function showEnterButton() {
   const t1 = gsap.timeline();
 
+  loadingProgress.classList.add("hidden");
+  loadingDetail.classList.add("hidden");
+
   t1.to(loadingText, {
     opacity: 0,
     duration: 0,
   });
 
-  t1.to(enterButton, {
+  t1.to([enterButton, tourButton], {
     opacity: 1,
     duration: 0,
   });
-};
+  // Disabled until now, so an early click can't enter a half-loaded park.
+  enterButton.disabled = false;
+  tourButton.disabled = false;
+  enterButton.focus();
+}
 
-enterButton.addEventListener("click", () => {
+function enterPark() {
+  hasEnteredPark = true;
   gsap.to(loadingScreen, {
     opacity: 0,
     duration: 0,
@@ -257,93 +689,242 @@ enterButton.addEventListener("click", () => {
       loadingScreen.remove();
     },
   });
+}
 
-  if (!isMuted) {
-    playSound("projectsSFX");
-    playSound("backgroundMusic");
-  }
+// Needs a user gesture: the enter button, or the first tap or key press
+// after a deep link. Both come after content.json, and so the director.
+function startAudio() {
+  if (audio.started || !musicDirector) return;
+  audio.start();
+  musicDirector.start();
+}
+
+enterButton.addEventListener("click", () => {
+  enterPark();
+  playSound("projectsSFX");
+  startAudio();
 });
 
 //Audio
 
+// Content registry
+// The manifest is fetched through the same LoadingManager so the enter
+// button waits for it. The park is only requested once the registry is
+// ready, because the traversal below needs it to pick interactive nodes.
+const contentLoader = new THREE.FileLoader(manager);
+contentLoader.setResponseType("json");
+
+function loadContent() {
+  contentLoader.load(
+    "./content.json",
+    onContentLoaded,
+    undefined,
+    function (error) {
+      console.error(error);
+      reportLoadFailure("./content.json", "Park content", loadContent);
+    }
+  );
+}
+
+function onContentLoaded(manifest) {
+  try {
+    contentRegistry = createContentRegistry(manifest, {
+      knownSounds: audio.ids(),
+    });
+  } catch (error) {
+    // A broken manifest won't fix itself on retry, but a half-deployed
+    // site might.
+    console.error(error);
+    reportLoadFailure("./content.json", "Park content", loadContent);
+    return;
+  }
+  Object.entries(contentRegistry.sounds).forEach(([id, definition]) => {
+    audio.register(id, definition);
+    trackSoundLoading(id);
+  });
+
+  const { playlist, shuffle } = contentRegistry.music;
+  musicDirector = new MusicDirector(audio, {
+    playlist: playlist.length > 0 ? playlist : ["backgroundMusic"],
+    shuffle: loadSetting("musicShuffle", shuffle),
+  });
+  musicDirector.addEventListener("change", renderNowPlaying);
+  setupAchievements();
+  tour.setSteps(contentRegistry.tour);
+  tourButton.classList.toggle("hidden", contentRegistry.tour.length === 0);
+  // The pre-rendered list in index.html may be older than content.json.
+  renderFallbackPage(manifest, fallbackProjects);
+  loadPark();
+}
+
+loadContent();
+
 // GLTF Loader
 // See: https://threejs.org/docs/?q=glt#examples/en/loaders/GLTFLoader
-const loader = new GLTFLoader(manager);
-
-loader.load(
-  "./park.glb",
-  function (glb) {
-    // Traverse all nodes in the loaded GLTF scene. We use traversal to:
-    //  - collect interactive nodes (names listed in intersectObjectsNames)
-    //  - enable shadows on meshes
-    //  - detect the special 'Character' mesh and set up its pivot & collider
-    glb.scene.traverse((child) => {
-      // If this child's name is in the list of interactive names, add it
-      // to the array used by the raycaster.
-      if (intersectObjectsNames.includes(child.name)) {
-        intersectObjects.push(child);
+// The park comes in two stages (see `park` in content.json): the base model
+// goes through the LoadingManager so "Enter" waits for it, then detail
+// chunks stream in the background with their own loader. Both can read
+// compressed GLBs, see modules/gltfDecoders.js.
+const loader = configureGLTFLoader(new GLTFLoader(manager), renderer);
+const chunkLoader = configureGLTFLoader(new GLTFLoader(), renderer);
+const parkRoots = []; // every GLB scene added so far, base first
+const parkBounds = new THREE.Box3(); // union of the ground colliders
+const groundColliders = []; // raycast targets for tap-to-move
+let parkChunksStarted = false;
+
+function loadPark() {
+  const url = contentRegistry.park.base;
+
+  loader.load(
+    url,
+    function (glb) {
+      setupParkScene(glb.scene);
+      if (contentRegistry.park.chunks.length === 0) onParkComplete();
+    },
+    function (xhr) {
+      if (xhr.lengthComputable) {
+        loadingPartial.set(url, xhr.loaded / xhr.total);
+        renderLoadingProgress();
       }
+    },
+    function (error) {
+      console.error(error);
+      loadingPartial.delete(url);
+      reportLoadFailure(url, "The park (3D model)", loadPark);
+    }
+  );
+}
 
-      // Log each traversed node for debugging so you can see the model
-      // hierarchy in the browser console.
-      console.log(child.name);
+// Everything a freshly loaded GLB scene needs before it joins the park.
+function setupParkScene(root) {
+  // Traverse all nodes in the loaded GLTF scene. We use traversal to:
+  //  - collect interactive nodes (names with an entry in content.json)
+  //  - detect the special 'Character' mesh and set up its pivot & collider
+  root.traverse((child) => {
+    // If this child's name has a registry entry, add it
+    // to the array used by the raycaster.
+    if (contentRegistry.has(child.name)) {
+      intersectObjects.push(child);
+    }
 
-      // If the node is a renderable mesh, enable shadow casting/receiving.
-      if (child.isMesh) {
-        child.castShadow = true;
-        child.receiveShadow = true;
-      }
+    // Log each traversed node for debugging so you can see the model
+    // hierarchy in the browser console.
+    console.log(child.name);
+
+    // Special-case: when we find the 'Character' mesh we create a pivot
+    // object to act as the logical character root. The visual mesh is
+    // reparented under the pivot so yaw rotations apply to the pivot
+    // while the visual child can keep its X rotation (so it doesn't look
+    // down when we yaw).
+    if (child.name === "Character" || child.name === "character") {
+      console.log("Found Character");
+      const pivot = new THREE.Object3D();
+      pivot.position.copy(child.position);
+      scene.add(pivot);
+      pivot.add(child);
+      // Reset visual mesh local transform so it's positioned relative to
+      // the pivot (pivot is the true world-space reference).
+      child.position.set(0, 0, 0);
+
+      // Normalize visual orientation (convert degrees to radians).
+      child.rotation.x = 90 * (Math.PI / 180);
+      child.rotation.z = 0;
+      child.updateMatrixWorld(true);
+
+      // Store references used by the movement and respawn logic.
+      character.spawnPosition.copy(pivot.position);
+      character.instance = pivot; // movement rotates this pivot
+      character.visual = child; // visual mesh for cosmetic tweaks
+
+      // Align the physics capsule with the pivot's world position so
+      // collisions match the visible character.
+      playerController.setSpawn(pivot.position);
+      cameraRig.snapTo(pivot.position);
+    }
 
-      // Special-case: when we find the 'Character' mesh we create a pivot
-      // object to act as the logical character root. The visual mesh is
-      // reparented under the pivot so yaw rotations apply to the pivot
-      // while the visual child can keep its X rotation (so it doesn't look
-      // down when we yaw).
-      if (child.name === "Character" || child.name === "character") {
-        console.log("Found Character");
-        const pivot = new THREE.Object3D();
-        pivot.position.copy(child.position);
-        scene.add(pivot);
-        pivot.add(child);
-        // Reset visual mesh local transform so it's positioned relative to
-        // the pivot (pivot is the true world-space reference).
-        child.position.set(0, 0, 0);
-
-        // Normalize visual orientation (convert degrees to radians).
-        child.rotation.x = 90 * (Math.PI / 180);
-        child.rotation.z = 0;
-        child.updateMatrixWorld(true);
-
-        // Store references used by the movement and respawn logic.
-        character.spawnPosition.copy(pivot.position);
-        character.instance = pivot; // movement rotates this pivot
-        character.visual = child; // visual mesh for cosmetic tweaks
-
-        // Align the physics capsule with the pivot's world position so
-        // collisions match the visible character.
-        playerCollider.start
-          .copy(pivot.position)
-          .add(new THREE.Vector3(0, CAPSULE_RADIUS, 0));
-        playerCollider.end
-          .copy(pivot.position)
-          .add(new THREE.Vector3(0, CAPSULE_HEIGHT, 0));
-      }
+    // Build the collision octree from the 'Ground_Collider' mesh and hide
+    // the collider geometry so it doesn't render but is available for
+    // collision queries.
+    if (child.name === "Ground_Collider") {
+      colliderOctree.fromGraphNode(child);
+      parkBounds.expandByObject(child);
+      cameraRig.setBounds(parkBounds);
+      groundColliders.push(child);
+      navGrid = null; // re-sampled on the next tap
+      child.visible = false;
+    }
+  });
+  scene.add(root);
+  parkRoots.push(root);
+  applyShadowCasters(root, QUALITY_TIERS[qualityLevel]);
+  measureInteractables();
+
+  // Lamps and glowing props; they fade with the lighting presets.
+  const handles = createNightLights(root, contentRegistry.nightLights);
+  if (nightLights) {
+    nightLights.lights.push(...handles.lights);
+    nightLights.emissives.push(...handles.emissives);
+  } else {
+    nightLights = handles;
+  }
+  setNightLightAmount(nightLights, lightingState.night);
+}
+
+// Fetches the detail chunks one after another, so they don't compete with
+// each other (or the visitor) for a slow connection. A chunk that fails
+// just leaves the low-detail version in place.
+function streamParkChunks() {
+  if (parkChunksStarted) return;
+  parkChunksStarted = true;
+
+  const chunks = [...contentRegistry.park.chunks];
+
+  function loadNextChunk() {
+    const chunk = chunks.shift();
+    if (!chunk) {
+      if (contentRegistry.park.chunks.length > 0) onParkComplete();
+      return;
+    }
 
-      // Build the collision octree from the 'Ground_Collider' mesh and hide
-      // the collider geometry so it doesn't render but is available for
-      // collision queries.
-      if (child.name === "Ground_Collider") {
-        colliderOctree.fromGraphNode(child);
-        child.visible = false;
+    chunkLoader.load(
+      chunk.url,
+      function (glb) {
+        removeParkNodes(chunk.replaces || []);
+        setupParkScene(glb.scene);
+        loadNextChunk();
+      },
+      undefined,
+      function (error) {
+        console.warn(`[park] couldn't load ${chunk.url}`, error);
+        loadNextChunk();
       }
-    });
-    scene.add(glb.scene);
-  },
-  undefined,
-  function (error) {
-    console.error(error);
+    );
   }
-);
+
+  loadNextChunk();
+}
+
+// Takes low-detail stand-ins out of the park when their chunk arrives.
+function removeParkNodes(names) {
+  names.forEach((name) => {
+    const node = scene.getObjectByName(name);
+    if (!node) {
+      console.warn(`[park] "${name}" is not in the scene, nothing to replace`);
+      return;
+    }
+    node.removeFromParent();
+    const index = intersectObjects.indexOf(node);
+    if (index !== -1) intersectObjects.splice(index, 1);
+    interactionBounds.delete(name);
+  });
+}
+
+// Runs once every part of the park is in (or has given up loading).
+function onParkComplete() {
+  auditSceneContent(contentRegistry, parkRoots);
+  addAmbientZones(scene);
+  addMusicZones(scene);
+}
 
 // Lighting and Enviornment Stuff
 // See: https://threejs.org/docs/?q=light#api/en/lights/DirectionalLight
@@ -372,9 +953,11 @@ const light = new THREE.AmbientLight(0x404040, 2.7);
 scene.add(light);
 
 // Note about lighting:
+// - Colors, intensities and the sun's position come from the lighting
+//   presets in modules/lighting.js; the values above are just the start.
 // - Directional light 'sun' provides sharp, directional shadows like sunlight.
-// - Shadow map resolution is set high; if you experience performance issues
-//   consider reducing mapSize to 1024 or 2048.
+// - Shadow map size and filtering come from the quality tier (see
+//   applyQuality); ultra uses 4096.
 // - normalBias helps with shadow acne but may produce small shadow detachment
 //   if too large. Tweak per-model if you see artifacts.
 
@@ -388,8 +971,8 @@ scene.add(light);
 // foreshortening). Near/far define the visible depth range in world units.
 // We later use camera.zoom to scale the visible area. Call updateProjectionMatrix()
 // after changing frustum or zoom so the camera's projection matrix is recomputed.
-// We keep a `cameraOffset` vector to compute a follow-camera position relative
-// to the character each frame.
+// The CameraRig below computes the follow-camera position relative to the
+// character each frame.
 // We treat 1 world unit as the base unit for physics and geometry; tuning
 // constants (gravity, jump, speeds) are in these world units.
 const aspect = sizes.width / sizes.height;
@@ -402,24 +985,198 @@ const camera = new THREE.OrthographicCamera(
   1000
 );
 
-// Position the camera above and behind the scene center. We keep a
-// cameraOffset vector so the follow-camera math in the animation loop
-// can compute the camera's target relative to the character.
+// Position the camera above and behind the scene center until the
+// character loads and the camera rig takes over.
 camera.position.x = -13;
 camera.position.y = 39;
 camera.position.z = -67;
 
-const cameraOffset = new THREE.Vector3(-13, 39, -67);
+// Follow camera: eases toward the character instead of snapping, leads in
+// the direction of travel and stays inside the ground bounds. See
+// modules/cameraRig.js for the offsets and smoothing times.
+const cameraRig = new CameraRig(camera);
 
 // Zoom controls how large objects appear; updateProjectionMatrix() must be
 // called after changing frustum or zoom values to apply them.
-camera.zoom = 2.2;
+const FOLLOW_ZOOM = 2.2;
+camera.zoom = FOLLOW_ZOOM;
 camera.updateProjectionMatrix();
 
-// OrbitControls are handy for debugging and camera inspection. We update
-// them once here — they're left enabled so you can rotate/zoom with mouse.
+// Camera modes
+// - "follow":   the default; the camera rig follows the character
+// - "orbit":    free orbit/inspect (photo or debug mode); following pauses
+//               and OrbitControls take over
+// - "overview": the whole park, framed from the ground bounds
+// Only one thing drives the camera at a time: the rig in follow mode,
+// OrbitControls in orbit mode, nothing (a fixed pose) in overview. Mode
+// changes ease between poses with gsap. Every mode has its own zoom limits.
+const CAMERA_MODES = ["follow", "orbit", "overview"];
+const CAMERA_TRANSITION_DURATION = 1;
+const cameraZoomLimits = {
+  follow: { min: 1.5, max: 3.5 },
+  orbit: { min: 0.8, max: 5 },
+  overview: { min: 0.4, max: 2.2 },
+};
+const cameraModeButton = document.querySelector(".camera-mode-toggle-button");
+const cameraModeLabels = {
+  follow: "Follow camera",
+  orbit: "Free orbit camera",
+  overview: "Park overview camera",
+};
+
+let cameraMode = "follow";
+let followZoom = FOLLOW_ZOOM; // remembers wheel zoom while following
+let cameraTransition = null; // running gsap tween, if any
+// What the camera is looking at; kept up to date so transitions can start
+// from wherever the current mode left the camera.
+const cameraLookTarget = new THREE.Vector3();
+
+// OrbitControls only run in orbit mode. Left enabled they fought the
+// follow camera (which rewrites camera.position every frame).
 const controls = new OrbitControls(camera, canvas);
-controls.update();
+controls.enabled = false;
+controls.enableDamping = true;
+controls.screenSpacePanning = false;
+controls.maxPolarAngle = Math.PI / 2 - 0.1; // never look from below ground
+controls.minZoom = cameraZoomLimits.orbit.min;
+controls.maxZoom = cameraZoomLimits.orbit.max;
+
+function clampZoom(zoom, mode) {
+  const { min, max } = cameraZoomLimits[mode];
+  return Math.min(Math.max(zoom, min), max);
+}
+
+// Frames the whole ground: put the camera at the follow angle over the
+// ground's center, then zoom so every corner of the ground box fits in
+// the orthographic frustum (measured in camera space).
+function getOverviewPose() {
+  const bounds = cameraRig.bounds;
+  const target = bounds.getCenter(new THREE.Vector3());
+  target.y = cameraRig.options.height;
+  const position = target.clone().add(cameraRig.options.offset);
+
+  const viewer = camera.clone();
+  viewer.position.copy(position);
+  viewer.lookAt(target);
+  viewer.updateMatrixWorld(true);
+  viewer.matrixWorldInverse.copy(viewer.matrixWorld).invert();
+
+  let maxX = 0;
+  let maxY = 0;
+  const corner = new THREE.Vector3();
+  [bounds.min.x, bounds.max.x].forEach((x) => {
+    [bounds.min.y, bounds.max.y].forEach((y) => {
+      [bounds.min.z, bounds.max.z].forEach((z) => {
+        corner.set(x, y, z).applyMatrix4(viewer.matrixWorldInverse);
+        maxX = Math.max(maxX, Math.abs(corner.x));
+        maxY = Math.max(maxY, Math.abs(corner.y));
+      });
+    });
+  });
+
+  const zoom = Math.min(camera.right / maxX, camera.top / maxY) * 0.95;
+  return { position, target, zoom: clampZoom(zoom, "overview") };
+}
+
+function getFollowPose() {
+  const target = cameraRig.computeGoal(character.instance.position.clone());
+  const position = target.clone().add(cameraRig.options.offset);
+  return { position, target, zoom: followZoom };
+}
+
+// Eases position, look target and zoom from the current view to `pose`.
+function transitionCamera(pose, onComplete) {
+  if (cameraTransition) cameraTransition.kill();
+
+  const view = {
+    px: camera.position.x,
+    py: camera.position.y,
+    pz: camera.position.z,
+    tx: cameraLookTarget.x,
+    ty: cameraLookTarget.y,
+    tz: cameraLookTarget.z,
+    zoom: camera.zoom,
+  };
+
+  cameraTransition = gsap.to(view, {
+    px: pose.position.x,
+    py: pose.position.y,
+    pz: pose.position.z,
+    tx: pose.target.x,
+    ty: pose.target.y,
+    tz: pose.target.z,
+    zoom: pose.zoom,
+    duration: CAMERA_TRANSITION_DURATION,
+    ease: "power2.inOut",
+    onUpdate: () => {
+      camera.position.set(view.px, view.py, view.pz);
+      cameraLookTarget.set(view.tx, view.ty, view.tz);
+      camera.lookAt(cameraLookTarget);
+      camera.zoom = view.zoom;
+      camera.updateProjectionMatrix();
+    },
+    onComplete: () => {
+      cameraTransition = null;
+      if (onComplete) onComplete();
+    },
+  });
+}
+
+function setCameraMode(mode) {
+  if (!CAMERA_MODES.includes(mode) || !character.instance) return;
+
+  // Whoever was driving the camera stops now; the transition takes over.
+  cameraRig.enabled = false;
+  controls.enabled = false;
+  // While orbiting, a drag on the left half turns the camera instead.
+  touchControls.joystickEnabled = mode !== "orbit";
+  if (cameraMode === "follow") followZoom = camera.zoom;
+  if (cameraMode === "orbit") cameraLookTarget.copy(controls.target);
+  cameraMode = mode;
+
+  if (mode === "follow") {
+    transitionCamera(getFollowPose(), () => {
+      cameraRig.focus.copy(cameraLookTarget);
+      cameraRig.focusVelocity.set(0, 0, 0);
+      cameraRig.enabled = true;
+    });
+  } else if (mode === "orbit") {
+    // Start orbiting around what we were just looking at.
+    const zoom = clampZoom(camera.zoom, "orbit");
+    transitionCamera(
+      { position: camera.position, target: cameraLookTarget, zoom },
+      () => {
+        controls.target.copy(cameraLookTarget);
+        controls.enabled = true;
+        controls.update();
+      }
+    );
+  } else {
+    transitionCamera(getOverviewPose());
+  }
+
+  cameraModeButton.title = `${cameraModeLabels[mode]} (C to switch)`;
+  cameraModeButton.dataset.mode = mode;
+  playSound("projectsSFX");
+}
+
+function cycleCameraMode() {
+  const next = (CAMERA_MODES.indexOf(cameraMode) + 1) % CAMERA_MODES.length;
+  setCameraMode(CAMERA_MODES[next]);
+}
+
+// Wheel zoom while following. OrbitControls handles its own zoom (with
+// minZoom/maxZoom) in orbit mode; the overview is a fixed shot.
+function onCameraWheel(event) {
+  if (cameraMode !== "follow" || cameraTransition || isModalOpen) return;
+  event.preventDefault();
+  camera.zoom = clampZoom(
+    camera.zoom * (event.deltaY > 0 ? 0.95 : 1.05),
+    "follow"
+  );
+  followZoom = camera.zoom;
+  camera.updateProjectionMatrix();
+}
 
 // Handle when window resizes
 function onResize() {
@@ -433,7 +1190,7 @@ function onResize() {
   camera.updateProjectionMatrix();
 
   renderer.setSize(sizes.width, sizes.height);
-  renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+  renderer.setPixelRatio(getPixelRatio());
 }
 
 // Interact with Objects and Raycaster
@@ -445,9 +1202,12 @@ function jumpCharacter(meshID) {
   if (!isCharacterReady) return;
 
   const mesh = scene.getObjectByName(meshID);
-  const jumpHeight = 2;
-  const jumpDuration = 0.5;
-  const isSnorlax = meshID === "Snorlax";
+  // Per-critter tweaks from content.json. `relativeScale` squashes relative
+  // to the mesh's own scale instead of 1 (Snorlax is modelled scaled up).
+  const jumpOptions = contentRegistry.get(meshID).jump || {};
+  const jumpHeight = jumpOptions.height || 2;
+  const jumpDuration = jumpOptions.duration || 0.5;
+  const isSnorlax = Boolean(jumpOptions.relativeScale);
 
   const currentScale = {
     x: mesh.scale.x,
@@ -515,8 +1275,12 @@ function jumpCharacter(meshID) {
   }
 }
 
-function onClick() {
+function onClick(event) {
   if (touchHappened) return;
+  // Clicks on UI (e.g. Enter on the modal's exit button) bubble up here
+  // too; only clicks that land on the 3D scene should raycast.
+  if (event.target !== canvas) return;
+  if (wasDrag(event.clientX, event.clientY)) return;
   handleInteraction();
 }
 
@@ -524,6 +1288,8 @@ function handleInteraction() {
   if (!modal.classList.contains("hidden")) {
     return;
   }
+  // Clicking somewhere takes over from the tour.
+  tour.stop();
 
   raycaster.setFromCamera(pointer, camera);
   const intersects = raycaster.intersectObjects(intersectObjects);
@@ -535,34 +1301,366 @@ function handleInteraction() {
   }
 
   if (intersectObject !== "") {
-    if (
-      [
-        "Bulbasaur",
-        "Chicken",
-        "Pikachu",
-        "Charmander",
-        "Squirtle",
-        "Snorlax",
-      ].includes(intersectObject)
-    ) {
+    approach(intersectObject);
+  } else {
+    walkToPointer();
+  }
+}
+
+// Runs whatever the registry entry for `name` asks for. Sounds default to
+// the old behavior: projects chime, critters squeak.
+function interactWith(name) {
+  const entry = contentRegistry && contentRegistry.get(name);
+  if (!entry) return;
+  if (achievements) achievements.markFound(name);
+
+  switch (entry.type) {
+    case "jump":
       if (isCharacterReady) {
-        if (!isMuted) {
-          playSound("pokemonSFX");
-        }
-        jumpCharacter(intersectObject);
+        playSoundAt(entry.sound || "pokemonSFX", name);
+        jumpCharacter(name);
         isCharacterReady = false;
       }
-    } else {
-      if (intersectObject) {
-        showModal(intersectObject);
-        if (!isMuted) {
-          playSound("projectsSFX");
-        }
+      break;
+    case "modal":
+      showModal(name);
+      playSoundAt(entry.sound || "projectsSFX", name);
+      break;
+    case "link":
+      playSoundAt(entry.sound || "projectsSFX", name);
+      window.open(entry.href, "_blank", "noopener,noreferrer");
+      break;
+    case "custom":
+      if (customInteractions[entry.handler]) {
+        if (entry.sound) playSoundAt(entry.sound, name);
+        customInteractions[entry.handler](name, entry);
+      } else {
+        console.warn(`[content] no custom handler named "${entry.handler}"`);
       }
+      break;
+  }
+}
+
+// Proximity interaction
+// Keyboard (and anyone who'd rather not aim the mouse) can walk up to an
+// interactive object and press E/Enter/Space. Each frame we find the
+// nearest entry within range of the character and float a prompt above it.
+// Entries can override the range with `radius` and the text with `prompt`.
+const INTERACTION_RADIUS = 6; // world units from the object's bounding box
+const INTERACTION_KEYS = ["keye", "enter", "space", "numpadenter"];
+const ACTIVATION_KEYS = ["enter", "space", "numpadenter"]; // also press buttons
+const interactionPrompt = document.querySelector(".interaction-prompt");
+const interactionBounds = new Map(); // node name -> world-space Box3
+const promptAnchor = new THREE.Vector3();
+let nearestInteractable = "";
+
+const defaultPrompts = {
+  modal: "Press E to view",
+  jump: "Press E to say hi",
+  link: "Press E to open",
+  custom: "Press E to interact",
+};
+
+// Bounding boxes are measured once after the park loads; the interactive
+// objects don't wander off (critters hop but land where they started).
+function measureInteractables() {
+  intersectObjects.forEach((object) => {
+    interactionBounds.set(object.name, new THREE.Box3().setFromObject(object));
+  });
+}
+
+function updateNearestInteractable() {
+  let nearest = "";
+  let nearestDistance = Infinity;
+
+  if (character.instance && !isModalOpen) {
+    interactionBounds.forEach((bounds, name) => {
+      const entry = contentRegistry.get(name);
+      const radius = entry.radius || INTERACTION_RADIUS;
+      const distance = bounds.distanceToPoint(character.instance.position);
+      if (distance <= radius && distance < nearestDistance) {
+        nearest = name;
+        nearestDistance = distance;
+      }
+    });
+  }
+
+  if (nearest !== nearestInteractable) {
+    nearestInteractable = nearest;
+    touchControls.setInteractAvailable(Boolean(nearest));
+    if (nearest) {
+      const entry = contentRegistry.get(nearest);
+      interactionPrompt.textContent =
+        entry.prompt || defaultPrompts[entry.type];
     }
+    interactionPrompt.classList.toggle("hidden", !nearest);
+  }
+
+  if (nearest) {
+    // Anchor the prompt just above the top-center of the object's box and
+    // convert from NDC [-1, 1] to CSS pixels (Y flipped, as in onMouseMove).
+    const bounds = interactionBounds.get(nearest);
+    bounds.getCenter(promptAnchor);
+    promptAnchor.y = bounds.max.y;
+    promptAnchor.project(camera);
+    const x = ((promptAnchor.x + 1) / 2) * sizes.width;
+    const y = ((1 - promptAnchor.y) / 2) * sizes.height;
+    interactionPrompt.style.left = `${x}px`;
+    interactionPrompt.style.top = `${y}px`;
   }
 }
 
+// Ambient audio and music zones
+// Both are placed on a node from the GLB (its bounding box) or at a fixed
+// [x, y, z] point from content.json.
+function getZoneBox(root, zone) {
+  const node = root.getObjectByName(zone.node);
+  if (!node) {
+    console.warn(`[content] zone node "${zone.node}" is not in the scene`);
+    return null;
+  }
+  return new THREE.Box3().setFromObject(node);
+}
+
+// Looping sounds from content.json's `ambient` list, pinned to a node's
+// center (or a fixed point) and faded in as the character walks close.
+function addAmbientZones(root) {
+  contentRegistry.ambient.forEach((zone) => {
+    const position = new THREE.Vector3();
+    if (zone.node) {
+      const box = getZoneBox(root, zone);
+      if (!box) return;
+      box.getCenter(position);
+    } else {
+      position.fromArray(zone.position);
+    }
+    audio.addAmbientZone({ ...zone, position });
+  });
+}
+
+// Areas with their own tune. With a radius the zone is a circle around the
+// node (or point); without one it's the node's footprint.
+function addMusicZones(root) {
+  const zones = [];
+  contentRegistry.music.zones.forEach((zone) => {
+    if (zone.node) {
+      const box = getZoneBox(root, zone);
+      if (!box) return;
+      zones.push(
+        zone.radius
+          ? {
+              track: zone.track,
+              center: box.getCenter(new THREE.Vector3()),
+              radius: zone.radius,
+            }
+          : { track: zone.track, box }
+      );
+    } else {
+      zones.push({
+        track: zone.track,
+        center: new THREE.Vector3().fromArray(zone.position),
+        radius: zone.radius,
+      });
+    }
+  });
+  musicDirector.setZones(zones);
+}
+
+// The listener stands where the character is (or wherever the camera looks
+// when there's no character) and faces "into" the screen, so left/right
+// panning matches what's on screen whatever the camera mode.
+const listenerForward = new THREE.Vector3();
+
+function updateAudioListener() {
+  const position = character.instance
+    ? character.instance.position
+    : cameraLookTarget;
+  camera.getWorldDirection(listenerForward);
+  listenerForward.y = 0;
+  if (listenerForward.lengthSq() === 0) listenerForward.set(0, 0, -1);
+  listenerForward.normalize();
+  audio.updateListener(position, listenerForward);
+}
+
+// Tap-to-move
+// Clicking or tapping the ground walks the character there. The collider is
+// sampled into a grid (modules/navGrid.js), A* finds a way around whatever
+// is in between, and the character hops from waypoint to waypoint by
+// steering its own movement stick, like a gamepad would. Tapping an
+// interactive object that's out of reach walks up to it first and opens it
+// on arrival. Arrow keys or a stick take back control straight away.
+const ARRIVE_DISTANCE = 1; // world units from a waypoint that count as there
+const MIN_PROGRESS = 0.1; // a hop that gains less than this didn't help
+const MAX_STALLED_HOPS = 3; // give up after this many unhelpful hops
+const DRAG_THRESHOLD = 6; // px; a pointer that moved further was a drag
+// How far a full hop carries the character (see PLAYER_DEFAULTS).
+const HOP_LENGTH =
+  ((2 * playerController.options.jumpHeight) /
+    playerController.options.gravity) *
+  playerController.options.moveSpeed;
+
+const destinationMarker = new THREE.Mesh(
+  new THREE.RingGeometry(0.6, 0.9, 32).rotateX(-Math.PI / 2),
+  new THREE.MeshBasicMaterial({
+    color: 0xffffff,
+    transparent: true,
+    opacity: 0.8,
+    depthWrite: false,
+  })
+);
+destinationMarker.visible = false;
+scene.add(destinationMarker);
+
+let navGrid = null; // sampled from the collider on the first tap
+let route = null; // { waypoints, target, bestDistance, stalledHops }
+const routeStick = movementInput.addStick("route");
+const pointerDownAt = { x: 0, y: 0 };
+const routeOffset = new THREE.Vector3();
+
+function getNavGrid() {
+  if (!navGrid && !parkBounds.isEmpty()) {
+    navGrid = new NavGrid(colliderOctree, parkBounds).build();
+  }
+  return navGrid;
+}
+
+function getReach(name) {
+  return contentRegistry.get(name).radius || INTERACTION_RADIUS;
+}
+
+function isInReach(name, position) {
+  const bounds = interactionBounds.get(name);
+  return !bounds || bounds.distanceToPoint(position) <= getReach(name);
+}
+
+// Walks along `waypoints` (from the NavGrid). With a `target` (a registry
+// name) the entry is opened once the character is in reach of it. Returns
+// false when there's no way there (no waypoints).
+function setRoute(waypoints, target = "") {
+  if (!waypoints) return false;
+
+  route = { waypoints, target, bestDistance: Infinity, stalledHops: 0 };
+  const end = waypoints[waypoints.length - 1];
+  destinationMarker.position.set(end.x, end.y + 0.05, end.z);
+  destinationMarker.visible = true;
+  gsap.fromTo(
+    destinationMarker.scale,
+    { x: 0.4, y: 0.4, z: 0.4 },
+    { x: 1, y: 1, z: 1, duration: 0.3, ease: "back.out(2)" }
+  );
+  return true;
+}
+
+function cancelRoute() {
+  if (!route) return;
+  route = null;
+  destinationMarker.visible = false;
+  routeStick.x = 0;
+  routeStick.y = 0;
+}
+
+// Horizontal distance from `position` to the next waypoint; leaves the
+// direction in routeOffset.
+function getWaypointDistance(position) {
+  const waypoint = route.waypoints[0];
+  routeOffset.set(waypoint.x - position.x, 0, waypoint.z - position.z);
+  return routeOffset.length();
+}
+
+// Called every frame before the physics steps.
+function updateRoute() {
+  if (!route || !character.instance || isModalOpen) return;
+
+  if (movementInput.isActive("route")) {
+    cancelRoute();
+    return;
+  }
+
+  const position = character.instance.position;
+  const { target } = route;
+  if (target && isInReach(target, position)) {
+    cancelRoute();
+    interactWith(target);
+    return;
+  }
+
+  let distance = getWaypointDistance(position);
+  while (distance <= ARRIVE_DISTANCE) {
+    route.waypoints.shift();
+    route.bestDistance = Infinity;
+    route.stalledHops = 0;
+    if (route.waypoints.length === 0) {
+      cancelRoute();
+      if (target) interactWith(target);
+      return;
+    }
+    distance = getWaypointDistance(position);
+  }
+
+  // Hop no further than the waypoint so corners aren't cut through what
+  // the path goes around. Even a barely pushed stick hops minAnalogSpeed
+  // of the way, which ARRIVE_DISTANCE leaves room for.
+  const { minAnalogSpeed } = playerController.options;
+  const share = Math.min(distance / HOP_LENGTH, 1);
+  const push = Math.max((share - minAnalogSpeed) / (1 - minAnalogSpeed), 0.01);
+  // Screen right is -x and screen up is +z (see PlayerController).
+  routeStick.x = (-routeOffset.x / distance) * push;
+  routeStick.y = (routeOffset.z / distance) * push;
+}
+
+// Gives up when hops stop getting closer, e.g. against something the grid
+// was too coarse to see.
+function checkRouteProgress() {
+  if (!route) return;
+  const distance = getWaypointDistance(playerController.position);
+  if (distance < route.bestDistance - MIN_PROGRESS) {
+    route.bestDistance = distance;
+    route.stalledHops = 0;
+  } else if (++route.stalledHops >= MAX_STALLED_HOPS) {
+    cancelRoute();
+  }
+}
+
+// Opens `name` straight away when it's in reach, otherwise walks up to it
+// first (or opens it anyway when there's no way there).
+function approach(name) {
+  cancelRoute();
+  if (!character.instance || isInReach(name, character.instance.position)) {
+    interactWith(name);
+    return;
+  }
+
+  // Aim far enough inside the reach that stopping ARRIVE_DISTANCE short of
+  // the last waypoint still counts.
+  const grid = getNavGrid();
+  const waypoints =
+    grid &&
+    grid.findPathNear(
+      character.instance.position,
+      interactionBounds.get(name),
+      Math.max(getReach(name) - ARRIVE_DISTANCE, 0)
+    );
+  if (!setRoute(waypoints, name)) interactWith(name);
+}
+
+// Expects the raycaster to be set from the pointer already.
+function walkToPointer() {
+  const grid = getNavGrid();
+  const hits = raycaster.intersectObjects(groundColliders);
+  if (!grid || !character.instance || hits.length === 0) return;
+  setRoute(grid.findPath(character.instance.position, hits[0].point));
+}
+
+function onPointerDown(event) {
+  pointerDownAt.x = event.clientX;
+  pointerDownAt.y = event.clientY;
+}
+
+// Orbit drags end in a click too; those shouldn't send the character off.
+function wasDrag(x, y) {
+  return Math.hypot(x - pointerDownAt.x, y - pointerDownAt.y) > DRAG_THRESHOLD;
+}
+
 function onMouseMove(event) {
   // Map DOM pixel coordinates to Normalized Device Coordinates (NDC):
   // NDC X = (clientX / width) * 2 - 1 -> maps [0,width] to [-1,1]
@@ -574,6 +1672,9 @@ function onMouseMove(event) {
 }
 
 function onTouchEnd(event) {
+  // Touches on the mobile controls and other UI end here too.
+  if (event.target !== canvas) return;
+
   // Touch events don't always expose clientX/clientY directly; prefer
   // changedTouches for robust values. If changedTouches is not present
   // fall back to event.clientX/clientY for pointer event compatibility.
@@ -584,97 +1685,19 @@ function onTouchEnd(event) {
   pointer.y = -(y / window.innerHeight) * 2 + 1;
 
   touchHappened = true;
+  if (wasDrag(x, y)) return;
   handleInteraction();
 }
 
 // Movement and Gameplay functions
+// The physics itself lives in PlayerController; these keep the visible
+// character in sync with it and add the sound/animation side effects.
 function respawnCharacter() {
-  character.instance.position.copy(character.spawnPosition);
-
-  playerCollider.start
-    .copy(character.spawnPosition)
-    .add(new THREE.Vector3(0, CAPSULE_RADIUS, 0));
-  playerCollider.end
-    .copy(character.spawnPosition)
-    .add(new THREE.Vector3(0, CAPSULE_HEIGHT, 0));
-
-  playerVelocity.set(0, 0, 0);
-  character.isMoving = false;
+  playerController.respawn();
 }
 
-function playerCollisions() {
-  const result = colliderOctree.capsuleIntersect(playerCollider);
-  playerOnFloor = false;
-
-  if (result) {
-    playerOnFloor = result.normal.y > 0;
-    playerCollider.translate(result.normal.multiplyScalar(result.depth));
-
-    if (playerOnFloor) {
-      character.isMoving = false;
-      playerVelocity.x = 0;
-      playerVelocity.z = 0;
-    }
-  }
-}
-
-// capsuleIntersect returns info about penetration depth and normal. We
-// resolve penetration by translating the capsule out of geometry along the
-// collision normal. This keeps the player from sinking into the world.
-
-function updatePlayer() {
-  if (!character.instance) return;
-
-  // Math summary (integration):
-  // - We use semi-explicit Euler integration with a fixed timestep proxy dt
-  //   (0.035). If v is velocity and a is acceleration (gravity), then:
-  //     v += a * dt
-  //     x += v * dt
-  // - Here GRAVITY is treated as acceleration in world-units/sec^2; dt is
-  //   the scalar 0.035 used throughout. For stable physics across variable
-  //   frame rates prefer computing a real dt from timestamps instead.
-
-  if (character.instance.position.y < -20) {
-    respawnCharacter();
-    return;
-  }
-
-  // Integrate gravity when player is airborne. The magic scalar 0.035 is
-  // a fixed timestep proxy; for more stable physics across variable frame
-  // rates consider measuring deltaTime in the animation loop and using
-  // that instead.
-  if (!playerOnFloor) {
-    playerVelocity.y -= GRAVITY * 0.035;
-  }
-
-  // Translate the capsule by velocity scaled by timestep.
-  playerCollider.translate(playerVelocity.clone().multiplyScalar(0.035));
-
-  playerCollisions();
-
-  character.instance.position.copy(playerCollider.start);
-  character.instance.position.y -= CAPSULE_RADIUS;
-
-  // Math summary (angle wrapping):
-  // - We need the minimal signed angular difference between targetRotation
-  //   and the current rotation (in radians). Angles wrap every 2*PI, so a
-  //   naive subtraction may produce values outside [-PI, PI]. The expression
-  //   below wraps the difference into (-PI, PI] which represents the shortest
-  //   rotation direction and magnitude.
-  let rotationDiff =
-    ((((targetRotation - character.instance.rotation.y) % (2 * Math.PI)) +
-      3 * Math.PI) %
-      (2 * Math.PI)) -
-    Math.PI;
-  let finalRotation = character.instance.rotation.y + rotationDiff;
-  // Smoothly interpolate the yaw (Y rotation) toward the targetRotation.
-  // The wrapping math above ensures the shortest rotation path across
-  // the -PI..PI boundary. Lerp factor 0.4 gives a soft, eased rotation.
-  character.instance.rotation.y = THREE.MathUtils.lerp(
-    character.instance.rotation.y,
-    finalRotation,
-    0.4
-  );
+function syncCharacterRotation() {
+  character.instance.rotation.y = playerController.rotation;
   // If we wrapped the visual mesh in a pivot, keep the visual child's X/Z
   // rotation fixed and enforce uniform scale on the visual mesh only.
   if (character.visual) {
@@ -688,28 +1711,82 @@ function updatePlayer() {
   }
 }
 
+playerController.addEventListener("hop", () => {
+  // A hop nobody routed is the visitor moving on their own.
+  if (!route) tour.stop();
+  checkRouteProgress();
+  playSound("jumpSFX");
+  handleJumpAnimation();
+});
+
+playerController.addEventListener("respawn", () => {
+  cancelRoute();
+  if (character.instance) {
+    character.instance.position.copy(playerController.position);
+    cameraRig.snapTo(playerController.position);
+  }
+});
+
 function onKeyDown(event) {
+  // Game input is locked while the modal is open.
+  if (isModalOpen) {
+    handleModalKeyDown(event);
+    return;
+  }
+  if (isTextMode) return;
+
+  // Arrow keys on a focused slider (e.g. the audio mixer) belong to it.
+  if (event.target.closest && event.target.closest("input, select")) {
+    return;
+  }
+
   if (event.code.toLowerCase() === "keyr") {
     respawnCharacter();
     return;
   }
 
+  if (event.code.toLowerCase() === "keyc") {
+    cycleCameraMode();
+    return;
+  }
+
+  // Enter and Space on a focused button or link press it instead.
+  if (
+    ACTIVATION_KEYS.includes(event.code.toLowerCase()) &&
+    event.target.closest &&
+    event.target.closest("button, a, input, select, textarea")
+  ) {
+    return;
+  }
+
+  // Same path as clicking the object; ignore key repeat so holding E
+  // doesn't reopen the modal or re-trigger a critter hop.
+  if (
+    INTERACTION_KEYS.includes(event.code.toLowerCase()) &&
+    nearestInteractable &&
+    !isModalOpen
+  ) {
+    event.preventDefault();
+    if (!event.repeat) interactWith(nearestInteractable);
+    return;
+  }
+
   switch (event.code.toLowerCase()) {
     case "keyw":
     case "arrowup":
-      pressedButtons.up = true;
+      keyboardButtons.up = true;
       break;
     case "keys":
     case "arrowdown":
-      pressedButtons.down = true;
+      keyboardButtons.down = true;
       break;
     case "keya":
     case "arrowleft":
-      pressedButtons.left = true;
+      keyboardButtons.left = true;
       break;
     case "keyd":
     case "arrowright":
-      pressedButtons.right = true;
+      keyboardButtons.right = true;
       break;
   }
 }
@@ -718,104 +1795,336 @@ function onKeyUp(event) {
   switch (event.code.toLowerCase()) {
     case "keyw":
     case "arrowup":
-      pressedButtons.up = false;
+      keyboardButtons.up = false;
       break;
     case "keys":
     case "arrowdown":
-      pressedButtons.down = false;
+      keyboardButtons.down = false;
       break;
     case "keya":
     case "arrowleft":
-      pressedButtons.left = false;
+      keyboardButtons.left = false;
       break;
     case "keyd":
     case "arrowright":
-      pressedButtons.right = false;
+      keyboardButtons.right = false;
       break;
   }
 }
 
-// Toggle Theme Function
-function toggleTheme() {
-  if (!isMuted) {
-    playSound("projectsSFX");
+// Lighting presets and theme
+// The theme button cycles day -> dusk -> night -> dawn -> auto (follow the
+// local clock). Each preset sets the lights, sky, fog, exposure and the
+// light/dark UI theme. The choice is saved; first-time visitors get day or
+// night to match their system's prefers-color-scheme.
+const LIGHTING_TRANSITION_DURATION = 1;
+const AUTO_LIGHTING_INTERVAL = 60 * 1000; // re-read the clock every minute
+const themeModeCaption = document.querySelector(".theme-mode-caption");
+const prefersDarkScheme = window.matchMedia("(prefers-color-scheme: dark)");
+const lightingModeCaptions = {
+  day: "Day",
+  dusk: "Dusk",
+  night: "Night",
+  dawn: "Dawn",
+  auto: "Local time",
+};
+
+// What's on screen, and the two ends of the running transition.
+const lightingState = createLightingState("day");
+const lightingFrom = createLightingState("day");
+const lightingTo = createLightingState("day");
+let lightingMode = loadSetting(
+  "lightingMode",
+  prefersDarkScheme.matches ? "night" : "day"
+);
+let lightingTween = null;
+let autoLightingTimer = null;
+let nightLights = null; // lamps/emissives found in the GLB, once loaded
+let captionTimer = null;
+
+function setUiTheme(theme) {
+  const isDarkTheme = theme === "dark";
+  document.body.classList.toggle("dark-theme", isDarkTheme);
+  document.body.classList.toggle("light-theme", !isDarkTheme);
+  firstIcon.style.display = isDarkTheme ? "none" : "block";
+  secondIcon.style.display = isDarkTheme ? "block" : "none";
+}
+
+function applyLightingState(state) {
+  sun.color.copy(state.sunColor);
+  sun.intensity = state.sunIntensity;
+  sun.position.copy(state.sunPosition);
+  light.color.copy(state.ambientColor);
+  light.intensity = state.ambientIntensity;
+  scene.background.copy(state.background);
+  scene.fog.color.copy(state.background);
+  scene.fog.near = state.fogNear;
+  scene.fog.far = state.fogFar;
+  renderer.toneMappingExposure = state.exposure;
+  if (nightLights) setNightLightAmount(nightLights, state.night);
+
+  if (!document.body.classList.contains(`${state.theme}-theme`)) {
+    setUiTheme(state.theme);
   }
-  const isDarkTheme = document.body.classList.contains("dark-theme");
-  document.body.classList.toggle("dark-theme");
-  document.body.classList.toggle("light-theme");
+}
 
-  if (firstIcon.style.display === "none") {
-    firstIcon.style.display = "block";
-    secondIcon.style.display = "none";
+// Blends from whatever is on screen (even mid-transition) to `target`.
+function transitionLighting(target, duration = LIGHTING_TRANSITION_DURATION) {
+  if (lightingTween) lightingTween.kill();
+  copyLightingState(lightingState, lightingFrom);
+  copyLightingState(target, lightingTo);
+
+  const progress = { t: 0 };
+  lightingTween = gsap.to(progress, {
+    t: 1,
+    duration,
+    ease: "power2.inOut",
+    onUpdate: () => {
+      blendLightingStates(lightingFrom, lightingTo, progress.t, lightingState);
+      applyLightingState(lightingState);
+    },
+    onComplete: () => {
+      lightingTween = null;
+    },
+  });
+}
+
+function showThemeCaption(text) {
+  themeModeCaption.textContent = text;
+  themeModeCaption.classList.remove("hidden");
+  clearTimeout(captionTimer);
+  captionTimer = setTimeout(() => {
+    themeModeCaption.classList.add("hidden");
+  }, 1500);
+}
+
+function setLightingMode(mode, { save = true, animate = true } = {}) {
+  if (!LIGHTING_MODES.includes(mode)) mode = "day";
+  lightingMode = mode;
+  clearInterval(autoLightingTimer);
+
+  const target =
+    mode === "auto"
+      ? getClockLightingState(new Date(), createLightingState())
+      : createLightingState(mode);
+
+  if (animate) {
+    transitionLighting(target);
   } else {
-    firstIcon.style.display = "none";
-    secondIcon.style.display = "block";
+    copyLightingState(target, lightingState);
+    applyLightingState(lightingState);
   }
 
-  gsap.to(light.color, {
-    r: isDarkTheme ? 1.0 : 0.25,
-    g: isDarkTheme ? 1.0 : 0.31,
-    b: isDarkTheme ? 1.0 : 0.78,
-    duration: 1,
-    ease: "power2.inOut",
+  if (mode === "auto") {
+    autoLightingTimer = setInterval(() => {
+      transitionLighting(
+        getClockLightingState(new Date(), createLightingState()),
+        5
+      );
+    }, AUTO_LIGHTING_INTERVAL);
+  }
+
+  themeToggleButton.title = `Lighting: ${lightingModeCaptions[mode]}`;
+  if (save) saveSetting("lightingMode", mode);
+}
+
+// Toggle Theme Function
+function toggleTheme() {
+  playSound("projectsSFX");
+  const nextIndex =
+    (LIGHTING_MODES.indexOf(lightingMode) + 1) % LIGHTING_MODES.length;
+  const next = LIGHTING_MODES[nextIndex];
+  setLightingMode(next);
+  showThemeCaption(lightingModeCaptions[next]);
+}
+
+// Follow the system setting until the visitor picks a mode themselves.
+prefersDarkScheme.addEventListener("change", (event) => {
+  if (loadSetting("lightingMode", null) === null) {
+    setLightingMode(event.matches ? "night" : "day", { save: false });
+  }
+});
+
+setLightingMode(lightingMode, { save: false, animate: false });
+
+// Toggle Audio Function
+// The big button mutes/unmutes everything; the settings panel next to it
+// has per-bus volume and mute for music and SFX (and graphics quality).
+const settingsButton = document.querySelector(".settings-button");
+const settingsPanel = document.querySelector(".settings-panel");
+const audioVolumeSliders = document.querySelectorAll(".audio-volume-slider");
+const audioMuteButtons = document.querySelectorAll(".audio-mute-button");
+
+function toggleAudio() {
+  playSound("projectsSFX");
+  audio.toggleMuted();
+}
+
+// Keeps the icons, sliders and per-bus buttons in sync with the manager.
+function renderAudioSettings() {
+  const allMuted = audio.isMuted();
+  firstIconTwo.style.display = allMuted ? "none" : "block";
+  secondIconTwo.style.display = allMuted ? "block" : "none";
+
+  audioVolumeSliders.forEach((slider) => {
+    slider.value = audio.buses[slider.dataset.bus].volume;
   });
+  audioMuteButtons.forEach((button) => {
+    const muted = audio.buses[button.dataset.bus].muted;
+    button.textContent = muted ? "off" : "on";
+    button.setAttribute("aria-pressed", String(muted));
+  });
+}
 
-  gsap.to(light, {
-    intensity: isDarkTheme ? 0.8 : 0.9,
-    duration: 1,
-    ease: "power2.inOut",
+function toggleSettings() {
+  playSound("projectsSFX");
+  const isOpen = settingsPanel.classList.toggle("hidden") === false;
+  settingsButton.setAttribute("aria-expanded", String(isOpen));
+}
+
+audioVolumeSliders.forEach((slider) => {
+  slider.addEventListener("input", () => {
+    audio.setBusVolume(slider.dataset.bus, Number(slider.value));
   });
+});
 
-  gsap.to(sun, {
-    intensity: isDarkTheme ? 1 : 0.8,
-    duration: 1,
-    ease: "power2.inOut",
+audioMuteButtons.forEach((button) => {
+  button.addEventListener("click", () => {
+    const bus = button.dataset.bus;
+    audio.setBusMuted(bus, !audio.buses[bus].muted);
+    playSound("projectsSFX");
   });
+});
 
-  gsap.to(sun.color, {
-    r: isDarkTheme ? 1.0 : 0.25,
-    g: isDarkTheme ? 1.0 : 0.41,
-    b: isDarkTheme ? 1.0 : 0.88,
-    duration: 1,
-    ease: "power2.inOut",
+audio.addEventListener("change", renderAudioSettings);
+renderAudioSettings();
+
+// Now playing
+// Shows the current track while music is audible, with skip and shuffle.
+// Area tunes are marked so it's clear why "next" didn't change the music.
+const nowPlaying = document.querySelector(".now-playing");
+const nowPlayingTitle = document.querySelector(".now-playing-title");
+const nowPlayingNextButton = document.querySelector(".now-playing-next");
+const nowPlayingShuffleButton = document.querySelector(".now-playing-shuffle");
+
+function renderNowPlaying() {
+  if (!musicDirector) return;
+  const { title, zone, shuffle, playing } = musicDirector.getNowPlaying();
+  nowPlaying.classList.toggle("hidden", !playing);
+  nowPlayingTitle.textContent = zone ? `${title} (area)` : title;
+  nowPlayingShuffleButton.setAttribute("aria-pressed", String(shuffle));
+}
+
+nowPlayingNextButton.addEventListener("click", () => {
+  musicDirector.next();
+});
+
+nowPlayingShuffleButton.addEventListener("click", () => {
+  musicDirector.setShuffle(!musicDirector.shuffle);
+  saveSetting("musicShuffle", musicDirector.shuffle);
+});
+
+// Muting or unmuting music shows or hides the indicator.
+audio.addEventListener("change", renderNowPlaying);
+
+// Graphics quality
+// Applies a tier from modules/quality.js to the renderer, the sun and the
+// park's meshes. In "auto" mode the governor picks the tier from measured
+// frame times (see animate) and remembers it for next time.
+const qualitySelect = document.querySelector(".quality-select");
+const qualityStatus = document.querySelector(".quality-status");
+
+const SHADOW_MAP_TYPES = {
+  basic: THREE.BasicShadowMap,
+  pcf: THREE.PCFShadowMap,
+  pcfsoft: THREE.PCFSoftShadowMap,
+};
+
+const TONE_MAPPINGS = {
+  linear: THREE.LinearToneMapping,
+  aces: THREE.ACESFilmicToneMapping,
+};
+
+const governor = new PerformanceGovernor(qualityLevel);
+governor.enabled = qualityMode === "auto";
+
+function getPixelRatio() {
+  return Math.min(
+    window.devicePixelRatio,
+    QUALITY_TIERS[qualityLevel].pixelRatio
+  );
+}
+
+function applyQuality(level) {
+  const tier = QUALITY_TIERS[level];
+  qualityLevel = level;
+
+  renderer.setPixelRatio(getPixelRatio());
+  renderer.shadowMap.enabled = tier.shadows;
+  renderer.shadowMap.type = SHADOW_MAP_TYPES[tier.shadowType];
+  renderer.toneMapping = TONE_MAPPINGS[tier.toneMapping];
+
+  sun.castShadow = tier.shadows;
+  sun.shadow.mapSize.set(tier.shadowMapSize, tier.shadowMapSize);
+  // three only (re)allocates the shadow map when there isn't one.
+  if (sun.shadow.map) {
+    sun.shadow.map.dispose();
+    sun.shadow.map = null;
+  }
+
+  parkRoots.forEach((root) => applyShadowCasters(root, tier));
+
+  // Shadow and tone mapping settings are compiled into the shaders.
+  scene.traverse((child) => {
+    if (child.material) {
+      [].concat(child.material).forEach((material) => {
+        material.needsUpdate = true;
+      });
+    }
   });
+
+  renderQualitySettings();
 }
 
-// Toggle Audio Function
-function toggleAudio() {
-  if (!isMuted) {
-    playSound("projectsSFX");
+function renderQualitySettings() {
+  qualitySelect.value = qualityMode;
+
+  const notes = [];
+  if (qualityMode === "auto") notes.push(`Auto picked ${qualityLevel}`);
+  const { antialias } = renderer.getContextAttributes();
+  if (antialias !== QUALITY_TIERS[qualityLevel].antialias) {
+    notes.push("antialiasing changes after a reload");
   }
-  if (firstIconTwo.style.display === "none") {
-    firstIconTwo.style.display = "block";
-    secondIconTwo.style.display = "none";
-    isMuted = false;
-    sounds.backgroundMusic.play();
+  qualityStatus.textContent = notes.join(", ");
+}
+
+function setQualityMode(mode) {
+  qualityMode = mode;
+  saveSetting("quality", mode);
+  governor.enabled = mode === "auto";
+
+  if (mode === "auto") {
+    // Carry on from the current tier and let the governor adjust it.
+    governor.setLevel(qualityLevel);
   } else {
-    firstIconTwo.style.display = "none";
-    secondIconTwo.style.display = "block";
-    isMuted = true;
-    sounds.backgroundMusic.pause();
+    applyQuality(mode);
   }
 }
 
-// Mobile controls
-const mobileControls = {
-  up: document.querySelector(".mobile-control.up-arrow"),
-  left: document.querySelector(".mobile-control.left-arrow"),
-  right: document.querySelector(".mobile-control.right-arrow"),
-  down: document.querySelector(".mobile-control.down-arrow"),
-};
+governor.addEventListener("change", ({ level }) => {
+  applyQuality(level);
+  saveSetting("autoQuality", level);
+});
 
-const pressedButtons = {
-  up: false,
-  left: false,
-  right: false,
-  down: false,
-};
+qualitySelect.addEventListener("change", () => {
+  setQualityMode(qualitySelect.value);
+});
+
+applyQuality(qualityLevel);
 
+// Hop animation, played on every movement hop
 function handleJumpAnimation() {
-  if (!character.instance || !character.isMoving) return;
+  if (!character.instance || !playerController.isMoving) return;
 
   const jumpDuration = 0.5;
   const jumpHeight = 2;
@@ -842,111 +2151,341 @@ function handleJumpAnimation() {
   });
 }
 
-function handleContinuousMovement() {
-  if (!character.instance) return;
+// Text mode
+// The same project list as the no-WebGL page, over the park, for anyone
+// who'd rather read than walk around. The park stops rendering underneath
+// and game input is ignored until "Back to the park".
+const fallbackPage = document.querySelector(".fallback-page");
+const fallbackProjects = document.querySelector(".fallback-projects");
+const fallbackBackButton = document.querySelector(".fallback-back-button");
+const textModeButtons = document.querySelectorAll(".text-mode-button");
+let isTextMode = false;
+
+function setTextMode(enabled) {
+  isTextMode = enabled;
+  saveSetting("textMode", enabled);
+  fallbackPage.classList.toggle("hidden", !enabled);
+  fallbackBackButton.classList.toggle("hidden", !enabled);
+  releaseGameInput();
+
+  if (enabled) {
+    tour.stop();
+    renderer.setAnimationLoop(null);
+    fallbackBackButton.focus();
+  } else {
+    physicsClock.getDelta(); // don't simulate the time spent reading
+    renderer.setAnimationLoop(animate);
+  }
+}
 
-  if (
-    Object.values(pressedButtons).some((pressed) => pressed) &&
-    !character.isMoving
-  ) {
-    if (!isMuted) {
-      playSound("jumpSFX");
-    }
-    if (pressedButtons.up) {
-      playerVelocity.z += MOVE_SPEED;
-      targetRotation = 0;
-    }
-    if (pressedButtons.down) {
-      playerVelocity.z -= MOVE_SPEED;
-      targetRotation = -Math.PI;
-    }
-    if (pressedButtons.left) {
-      playerVelocity.x += MOVE_SPEED;
-      targetRotation = Math.PI / 2;
-    }
-    if (pressedButtons.right) {
-      playerVelocity.x -= MOVE_SPEED;
-      targetRotation = -Math.PI / 2;
-    }
+textModeButtons.forEach((button) => {
+  button.addEventListener("click", () => setTextMode(true));
+});
+fallbackBackButton.addEventListener("click", () => setTextMode(false));
+
+// Touch controls
+// A floating joystick (or the arrow pad, picked in settings) and an
+// interact button for phones and tablets, see modules/touchControls.js.
+const touchLayoutSelect = document.querySelector(".touch-layout-select");
+const touchControls = new TouchControls({
+  container: document.querySelector(".touch-controls"),
+  surface: canvas,
+  stick: movementInput.addStick("joystick"),
+  buttons: mobileButtons,
+});
+touchControls.setLayout(loadSetting("touchLayout", "joystick"));
+touchLayoutSelect.value = touchControls.layout;
 
-    playerVelocity.y = JUMP_HEIGHT;
-    character.isMoving = true;
-    handleJumpAnimation();
-  }
+touchLayoutSelect.addEventListener("change", () => {
+  touchControls.setLayout(touchLayoutSelect.value);
+  saveSetting("touchLayout", touchControls.layout);
+});
+touchControls.addEventListener("interact", () => {
+  if (!isModalOpen && nearestInteractable) interactWith(nearestInteractable);
+});
+
+function releaseGameInput() {
+  movementInput.release();
+  touchControls.release();
 }
 
-// Notes on movement:
-// - Movement applies an impulse to playerVelocity and sets a short
-//   jump impulse so the character visibly hops when starting to move.
-// - `character.isMoving` prevents repeated impulses until collisions
-//   or other logic reset the state.
+// Gamepad
+// The left stick or d-pad moves (see modules/gamepadInput.js), A interacts
+// with the nearest object (or the one under the cursor), B closes the
+// modal and Y respawns, like R.
+const GAMEPAD_HINT_DURATION = 4000; // ms
+const gamepadInput = new GamepadInput(movementInput.addStick("gamepad"));
+const gamepadHint = document.querySelector(".gamepad-hint");
+let gamepadHintTimer = null;
+
+function showGamepadHint(text) {
+  gamepadHint.textContent = text;
+  gamepadHint.classList.remove("hidden");
+  clearTimeout(gamepadHintTimer);
+  gamepadHintTimer = setTimeout(() => {
+    gamepadHint.classList.add("hidden");
+  }, GAMEPAD_HINT_DURATION);
+}
 
-Object.entries(mobileControls).forEach(([direction, element]) => {
-  // Bind both touch and mouse events so the controls work on mobile and desktop
-  element.addEventListener("touchstart", (e) => {
-    e.preventDefault();
-    pressedButtons[direction] = true;
-  });
+function onGamepadButton({ button }) {
+  if (isTextMode) return;
+  if (isModalOpen) {
+    if (button === "b") hideModal();
+    return;
+  }
 
-  element.addEventListener("touchend", (e) => {
-    e.preventDefault();
-    pressedButtons[direction] = false;
-  });
+  if (button === "a") {
+    const target = nearestInteractable || intersectObject;
+    if (target) interactWith(target);
+  } else if (button === "y") {
+    respawnCharacter();
+  }
+}
 
-  element.addEventListener("mousedown", (e) => {
-    e.preventDefault();
-    pressedButtons[direction] = true;
+gamepadInput.addEventListener("connected", () => {
+  showGamepadHint(
+    "Controller connected: stick to move, A to interact, B to close, Y to respawn"
+  );
+});
+gamepadInput.addEventListener("disconnected", () => {
+  showGamepadHint("Controller disconnected");
+});
+gamepadInput.addEventListener("button", onGamepadButton);
+
+window.addEventListener("blur", releaseGameInput);
+
+// Achievements
+// Everything in content.json can be found (see modules/achievements.js).
+// The counter in the corner shows how much has been, with the achievements
+// in its tooltip, and each newly unlocked one pops up a toast.
+const ACHIEVEMENT_TOAST_DURATION = 5000; // ms
+const progressCounter = document.querySelector(".progress-counter");
+const achievementToasts = document.querySelector(".achievement-toasts");
+const resetProgressButton = document.querySelector(".reset-progress-button");
+let achievements = null;
+
+function setupAchievements() {
+  const found = loadSetting("achievements", []);
+  achievements = new AchievementTracker({
+    collectibles: contentRegistry.names(),
+    achievements: contentRegistry.achievements,
+    found: Array.isArray(found) ? found : [],
   });
-
-  element.addEventListener("mouseup", (e) => {
-    e.preventDefault();
-    pressedButtons[direction] = false;
+  achievements.addEventListener("change", ({ progress }) => {
+    saveSetting("achievements", progress.found);
+    renderProgress(progress);
   });
+  achievements.addEventListener("unlock", ({ achievement }) =>
+    showAchievementToast(achievement)
+  );
+  renderProgress(achievements.getProgress());
+}
 
-  element.addEventListener("mouseleave", (e) => {
-    pressedButtons[direction] = false;
-  });
+function renderProgress({ found, total, achievements: list }) {
+  progressCounter.textContent = `${found.length}/${total} found`;
+  progressCounter.title = list
+    .map(({ title, unlocked }) => `${unlocked ? "★" : "☆"} ${title}`)
+    .join("\n");
+  progressCounter.classList.remove("hidden");
+}
 
-  element.addEventListener("touchcancel", (e) => {
-    pressedButtons[direction] = false;
+function showAchievementToast({ title, description }) {
+  const toast = document.createElement("div");
+  toast.className = "achievement-toast";
+  const heading = document.createElement("strong");
+  heading.textContent = `★ ${title}`;
+  toast.append(heading);
+  if (description) {
+    const text = document.createElement("span");
+    text.textContent = description;
+    toast.append(text);
+  }
+  achievementToasts.append(toast);
+
+  gsap.from(toast, { opacity: 0, x: -24, duration: 0.3 });
+  setTimeout(() => {
+    gsap.to(toast, {
+      opacity: 0,
+      duration: 0.3,
+      onComplete: () => toast.remove(),
+    });
+  }, ACHIEVEMENT_TOAST_DURATION);
+}
+
+resetProgressButton.addEventListener("click", () => {
+  if (!achievements) return;
+  if (window.confirm("Forget everything you've found in the park?")) {
+    achievements.reset();
+  }
+});
+
+// Guided tour
+// "Take the tour" walks the character from stop to stop (content.json's
+// `tour`, see modules/guidedTour.js) and opens each one. Previous, next
+// and end buttons sit in the modal, and in a bar at the top on the way.
+// Moving, clicking somewhere or text mode hands control back.
+const tourButton = document.querySelector(".tour-button");
+const tourBar = document.querySelector(".tour-bar");
+const modalTour = document.querySelector(".modal-tour");
+const tourCaptions = document.querySelectorAll(".tour-caption");
+const tourPreviousButtons = document.querySelectorAll(
+  '[data-tour-action="previous"]'
+);
+const tourNextButtons = document.querySelectorAll('[data-tour-action="next"]');
+const tour = new GuidedTour();
+
+function renderTour() {
+  const { active, index, total, step } = tour.getState();
+  tourBar.classList.toggle("hidden", !active || isModalOpen);
+  modalTour.classList.toggle("hidden", !active);
+  if (!active) return;
+
+  const title = step.caption || contentRegistry.get(step.entry).title;
+  tourCaptions.forEach((caption) => {
+    caption.textContent = `${index + 1}/${total}: ${title || step.entry}`;
   });
+  tourPreviousButtons.forEach((button) => {
+    button.disabled = index === 0;
+  });
+  tourNextButtons.forEach((button) => {
+    button.textContent = index === total - 1 ? "finish" : "next";
+  });
+}
+
+function visitTourStop(step) {
+  cancelRoute();
+  const go = () => {
+    if (tour.getStep() === step) approach(step.entry);
+  };
+
+  // Closing a modal we opened goes back through history, which lands a
+  // moment later and would close the next stop if it were open by then.
+  const leavesHistory =
+    getHashProject() && history.state && history.state.project;
+  if (isModalOpen && leavesHistory) {
+    window.addEventListener("popstate", go, { once: true });
+    hideModal();
+  } else {
+    hideModal();
+    go();
+  }
+}
+
+function startTour() {
+  if (cameraMode !== "follow") setCameraMode("follow");
+  tour.start();
+}
+
+tour.addEventListener("change", ({ state: { active, step } }) => {
+  if (active) {
+    visitTourStop(step);
+  } else {
+    cancelRoute();
+  }
+  renderTour();
+});
+
+tourButton.addEventListener("click", () => {
+  enterPark();
+  startAudio();
+  startTour();
 });
 
-window.addEventListener("blur", () => {
-  Object.keys(pressedButtons).forEach((key) => {
-    pressedButtons[key] = false;
+document.querySelectorAll(".tour-nav").forEach((nav) => {
+  nav.addEventListener("click", (event) => {
+    const button = event.target.closest("[data-tour-action]");
+    if (button) tour[button.dataset.tourAction]();
   });
 });
 
+// Offline support
+// sw.js keeps a copy of the park for repeat and offline visits. When a new
+// version has been downloaded, offer to reload onto it rather than
+// swapping it in under the visitor's feet.
+const updatePrompt = document.querySelector(".update-prompt");
+const updateReloadButton = document.querySelector(".update-reload-button");
+const updateDismissButton = document.querySelector(".update-dismiss-button");
+let applyUpdate = null;
+
+function showUpdatePrompt(apply) {
+  applyUpdate = apply;
+  updatePrompt.classList.remove("hidden");
+}
+
+updateReloadButton.addEventListener("click", () => {
+  updateReloadButton.disabled = true;
+  if (applyUpdate) applyUpdate();
+});
+updateDismissButton.addEventListener("click", () => {
+  updatePrompt.classList.add("hidden");
+});
+
 // Adding Event Listeners (tbh could make some of these just themselves rather than seperating them, oh well)
 modalExitButton.addEventListener("click", hideModal);
+modalGalleryPrev.addEventListener("click", () =>
+  showGallerySlide(galleryIndex - 1)
+);
+modalGalleryNext.addEventListener("click", () =>
+  showGallerySlide(galleryIndex + 1)
+);
 modalbgOverlay.addEventListener("click", hideModal);
 themeToggleButton.addEventListener("click", toggleTheme);
 audioToggleButton.addEventListener("click", toggleAudio);
+settingsButton.addEventListener("click", toggleSettings);
+cameraModeButton.addEventListener("click", cycleCameraMode);
+canvas.addEventListener("wheel", onCameraWheel, { passive: false });
+canvas.addEventListener("pointerdown", onPointerDown);
 window.addEventListener("resize", onResize);
 window.addEventListener("click", onClick, { passive: false });
 window.addEventListener("mousemove", onMouseMove);
 window.addEventListener("touchend", onTouchEnd, { passive: false });
 window.addEventListener("keydown", onKeyDown);
 window.addEventListener("keyup", onKeyUp);
+window.addEventListener("popstate", onPopState);
 
 // Like our movie strip!!! Calls on each frame.
 function animate() {
-  updatePlayer();
-  handleContinuousMovement();
+  const realDelta = physicsClock.getDelta();
+  const frameDelta = Math.min(realDelta, MAX_FRAME_DELTA);
+
+  governor.update(realDelta);
+  gamepadInput.poll();
+  updateRoute();
 
   if (character.instance) {
-    const targetCameraPosition = new THREE.Vector3(
-      character.instance.position.x + cameraOffset.x - 20,
-      cameraOffset.y,
-      character.instance.position.z + cameraOffset.z + 30
+    // Held buttons are ignored while the modal is open.
+    playerController.enabled = !isModalOpen;
+
+    physicsAccumulator += frameDelta;
+    while (physicsAccumulator >= PHYSICS_STEP) {
+      playerController.step(PHYSICS_STEP * SIMULATION_SPEED);
+      physicsAccumulator -= PHYSICS_STEP;
+    }
+
+    // Blend between the last two physics states by how far we are into
+    // the next step (0 = previous step, 1 = current step).
+    playerController.getInterpolatedPosition(
+      physicsAccumulator / PHYSICS_STEP,
+      character.instance.position
     );
-    camera.position.copy(targetCameraPosition);
-    camera.lookAt(
-      character.instance.position.x + 10,
-      camera.position.y - 39,
-      character.instance.position.z + 10
+    syncCharacterRotation();
+  }
+
+  if (character.instance && cameraMode === "follow") {
+    cameraRig.update(
+      character.instance.position,
+      playerController.velocity,
+      frameDelta
     );
+    if (cameraRig.enabled) cameraLookTarget.copy(cameraRig.focus);
+  } else if (controls.enabled) {
+    controls.update(); // needed every frame for enableDamping
+  }
+
+  updateNearestInteractable();
+  updateAudioListener();
+  if (character.instance && musicDirector) {
+    musicDirector.update(character.instance.position);
   }
 
   raycaster.setFromCamera(pointer, camera);
@@ -971,3 +2510,4 @@ function animate() {
 }
 
 renderer.setAnimationLoop(animate);
+if (loadSetting("textMode", false)) setTextMode(true);
@@ -0,0 +1,88 @@
+// Achievements
+// Keeps track of which of the park's interactables (every entry in
+// content.json) the visitor has found, and unlocks the manifest's
+// `achievements` once all of their entries have been found. An achievement
+// without `entries` needs everything in the park:
+//   { "id": "treasure", "title": "X marks the spot",
+//     "description": "Found the treasure chest", "entries": ["Chest"] }
+//
+// Like the audio manager, the tracker doesn't save anything itself: it's
+// given the names found on an earlier visit and reports changes through
+// events (three.js EventDispatcher), for main.js to store:
+// - "change": ({ progress }, see getProgress) something was found, or reset
+// - "unlock": ({ achievement }) once for each newly unlocked achievement
+import { EventDispatcher } from "three";
+
+export class AchievementTracker extends EventDispatcher {
+  // `collectibles` are the names that count towards progress; saved names
+  // in `found` that aren't (any more) are dropped. Achievements the saved
+  // progress already earns start unlocked, without announcing themselves.
+  constructor({ collectibles, achievements = [], found = [] }) {
+    super();
+    this.collectibles = collectibles;
+    this.achievements = achievements;
+    this.found = new Set(found.filter((name) => collectibles.includes(name)));
+    this.unlocked = new Set(
+      achievements
+        .filter((achievement) => this.isEarned(achievement))
+        .map(({ id }) => id)
+    );
+  }
+
+  isEarned(achievement) {
+    const names = achievement.entries || this.collectibles;
+    return names.every((name) => this.found.has(name));
+  }
+
+  // Records `name` as found. Returns whether it was new.
+  markFound(name) {
+    if (!this.collectibles.includes(name) || this.found.has(name)) {
+      return false;
+    }
+
+    this.found.add(name);
+    const unlocked = this.achievements.filter(
+      (achievement) =>
+        !this.unlocked.has(achievement.id) && this.isEarned(achievement)
+    );
+    unlocked.forEach(({ id }) => this.unlocked.add(id));
+    this.notify();
+    unlocked.forEach((achievement) =>
+      this.dispatchEvent({ type: "unlock", achievement })
+    );
+    return true;
+  }
+
+  hasFound(name) {
+    return this.found.has(name);
+  }
+
+  isComplete() {
+    return this.found.size === this.collectibles.length;
+  }
+
+  // Forgets everything found so far (and so every achievement).
+  reset() {
+    this.found.clear();
+    this.unlocked.clear();
+    this.notify();
+  }
+
+  // { found, total, complete, achievements }, where every achievement has
+  // an `unlocked` flag.
+  getProgress() {
+    return {
+      found: [...this.found],
+      total: this.collectibles.length,
+      complete: this.isComplete(),
+      achievements: this.achievements.map((achievement) => ({
+        ...achievement,
+        unlocked: this.unlocked.has(achievement.id),
+      })),
+    };
+  }
+
+  notify() {
+    this.dispatchEvent({ type: "change", progress: this.getProgress() });
+  }
+}
@@ -0,0 +1,234 @@
+// Audio manager
+// Wraps the Howler.js sounds in two buses, "music" and "sfx", each with its
+// own volume and mute. A sound's final volume is
+//   its own base volume * its bus volume * (ducked ? duck level : 1)
+// and a muted bus simply doesn't play (music and looping sounds pause and
+// resume).
+// Howler is loaded as a global <script>, like gsap.
+//
+// Sounds defined with `spatial` are positional (Howler's spatial plugin):
+// playAt() places them in the world and updateListener() moves the
+// listener, so they pan and fade with distance. Ambient zones are looping
+// sounds pinned to a spot that fade in within `radius` of the listener.
+//
+// Events (three.js EventDispatcher): "change" ({ state }, see getState)
+// whenever a bus changes.
+import { EventDispatcher } from "three";
+
+export const AUDIO_BUSES = ["music", "sfx"];
+
+export const AUDIO_DEFAULTS = {
+  music: { volume: 1, muted: false },
+  sfx: { volume: 1, muted: false },
+};
+
+const DUCK_LEVEL = 0.35; // music volume multiplier while ducked
+const FADE_DURATION = 400; // ms
+
+// Panner settings for spatial sounds, in world units. "linear" fades to
+// silence at maxDistance, which suits a park you can walk across.
+const SPATIAL_DEFAULTS = {
+  panningModel: "equalpower",
+  distanceModel: "linear",
+  refDistance: 8,
+  maxDistance: 90,
+  rolloffFactor: 1,
+};
+
+export class AudioManager extends EventDispatcher {
+  // `definitions` maps a sound id to Howl options plus a `bus`. `state` is
+  // the saved bus settings (see getState), applied before anything plays.
+  constructor(definitions, state = {}) {
+    super();
+    this.sounds = {};
+    this.definitions = definitions;
+    this.buses = {};
+    this.isDucked = false;
+    // Looping sounds only start after a user gesture (see start); until
+    // then unmuting a bus mustn't start them either.
+    this.started = false;
+    this.gains = {}; // per-sound multiplier, used by ambient zones
+    this.ambientZones = [];
+
+    AUDIO_BUSES.forEach((bus) => {
+      this.buses[bus] = { ...AUDIO_DEFAULTS[bus], ...state[bus] };
+    });
+
+    Object.entries(definitions).forEach(([id, definition]) => {
+      this.register(id, definition);
+    });
+  }
+
+  // Adds a sound after construction, e.g. critter cries from content.json.
+  register(id, definition) {
+    const { bus, spatial, ...options } = definition;
+    this.definitions[id] = definition;
+    if (spatial) {
+      options.pannerAttr = {
+        ...SPATIAL_DEFAULTS,
+        ...(typeof spatial === "object" ? spatial : {}),
+      };
+    }
+    this.sounds[id] = new Howl({ ...options, volume: this.getVolume(id) });
+  }
+
+  ids() {
+    return Object.keys(this.sounds);
+  }
+
+  getVolume(id) {
+    const { bus, volume = 1 } = this.definitions[id];
+    const duck = bus === "music" && this.isDucked ? DUCK_LEVEL : 1;
+    const gain = this.gains[id] === undefined ? 1 : this.gains[id];
+    return volume * this.buses[bus].volume * duck * gain;
+  }
+
+  idsOnBus(bus) {
+    return this.ids().filter((id) => this.definitions[id].bus === bus);
+  }
+
+  play(id) {
+    const sound = this.sounds[id];
+    if (!sound || this.buses[this.definitions[id].bus].muted) return null;
+    sound.volume(this.getVolume(id));
+    return sound.play();
+  }
+
+  // Plays a spatial sound at a world position ({ x, y, z }).
+  playAt(id, position) {
+    const soundId = this.play(id);
+    if (soundId !== null) {
+      this.sounds[id].pos(position.x, position.y, position.z, soundId);
+    }
+    return soundId;
+  }
+
+  stop(id) {
+    if (this.sounds[id]) this.sounds[id].stop();
+  }
+
+  isLooping(id) {
+    return Boolean(this.definitions[id].loop);
+  }
+
+  // Starts (or resumes) every looping sound, e.g. ambient zones. Music is
+  // started by the music director. Call from a user gesture.
+  start() {
+    this.started = true;
+    this.ids()
+      .filter((id) => this.isLooping(id))
+      .forEach((id) => {
+        if (!this.sounds[id].playing()) this.play(id);
+      });
+  }
+
+  // Pins the looping sound `sound` to `position`. Within `radius` of the
+  // listener it plays at full volume, then fades out over `falloff`.
+  addAmbientZone({ sound, position, radius, falloff = radius }) {
+    const howl = this.sounds[sound];
+    howl.pos(position.x, position.y, position.z);
+    // The zone does its own distance fade; keep the panner for direction.
+    howl.pannerAttr({ ...SPATIAL_DEFAULTS, rolloffFactor: 0 });
+    this.gains[sound] = 0;
+    this.ambientZones.push({ sound, position, radius, falloff });
+  }
+
+  // Moves the listener to `position` facing `forward` (both { x, y, z }),
+  // and updates ambient zone volumes. Call once per frame.
+  updateListener(position, forward) {
+    if (typeof Howler.pos !== "function") return;
+    Howler.pos(position.x, position.y, position.z);
+    Howler.orientation(forward.x, forward.y, forward.z, 0, 1, 0);
+
+    this.ambientZones.forEach(({ sound, position: zone, radius, falloff }) => {
+      const distance = Math.hypot(
+        zone.x - position.x,
+        zone.y - position.y,
+        zone.z - position.z
+      );
+      const gain = Math.min(Math.max(1 - (distance - radius) / falloff, 0), 1);
+      if (Math.abs(gain - this.gains[sound]) > 0.01) {
+        this.setGain(sound, gain);
+      }
+    });
+  }
+
+  // Sets the extra volume multiplier for one sound, optionally fading to
+  // it over `duration` ms (e.g. music crossfades).
+  setGain(id, gain, duration = 0) {
+    const sound = this.sounds[id];
+    this.gains[id] = gain;
+    if (duration > 0 && sound.playing()) {
+      sound.fade(sound.volume(), this.getVolume(id), duration);
+    } else {
+      sound.volume(this.getVolume(id));
+    }
+  }
+
+  // Re-applies bus volumes to everything that's loaded, fading music so
+  // ducking and slider drags don't click.
+  refreshVolumes(fade = false) {
+    this.ids().forEach((id) => {
+      const sound = this.sounds[id];
+      const volume = this.getVolume(id);
+      if (fade && sound.playing()) {
+        sound.fade(sound.volume(), volume, FADE_DURATION);
+      } else {
+        sound.volume(volume);
+      }
+    });
+  }
+
+  setBusVolume(bus, volume) {
+    this.buses[bus].volume = Math.min(Math.max(volume, 0), 1);
+    this.refreshVolumes();
+    this.notify();
+  }
+
+  setBusMuted(bus, muted) {
+    this.buses[bus].muted = muted;
+
+    this.idsOnBus(bus).forEach((id) => {
+      const sound = this.sounds[id];
+      if (muted) {
+        // Music and loops pause so they resume where they left off (the
+        // music director resumes music); one-shots stop.
+        if (bus === "music" || this.isLooping(id)) sound.pause();
+        else sound.stop();
+      } else if (this.isLooping(id) && this.started && !sound.playing()) {
+        this.play(id);
+      }
+    });
+    this.notify();
+  }
+
+  // True when nothing at all can be heard.
+  isMuted() {
+    return AUDIO_BUSES.every((bus) => this.buses[bus].muted);
+  }
+
+  // The old all-or-nothing toggle: mute everything, or unmute everything.
+  toggleMuted() {
+    const mute = !this.isMuted();
+    AUDIO_BUSES.forEach((bus) => this.setBusMuted(bus, mute));
+  }
+
+  // Lowers the music (e.g. while a modal is open) without touching SFX.
+  setDucked(ducked) {
+    if (this.isDucked === ducked) return;
+    this.isDucked = ducked;
+    this.refreshVolumes(true);
+  }
+
+  getState() {
+    const state = {};
+    AUDIO_BUSES.forEach((bus) => {
+      state[bus] = { ...this.buses[bus] };
+    });
+    return state;
+  }
+
+  notify() {
+    this.dispatchEvent({ type: "change", state: this.getState() });
+  }
+}
@@ -0,0 +1,165 @@
+// Camera rig
+// A follow camera for the orthographic park view. Instead of snapping to
+// the character every frame it eases a "focus" point (what the camera
+// looks at) toward a goal with a critically-damped spring, so hops glide
+// instead of jitter. On top of that:
+// - look-ahead: the goal leads the character in the direction it's moving
+// - bounds: the focus is clamped inside the ground so the view doesn't
+//   drift out over the void at the park edges
+// - scripted focus: focusOn(point) pulls the camera toward something else
+//   (e.g. a project billboard while its modal is open) until release()
+import { Vector3 } from "three";
+
+export const CAMERA_RIG_DEFAULTS = {
+  // Camera position relative to the focus point. Together with
+  // focusOffset these reproduce the original fixed follow framing.
+  offset: new Vector3(-43, 39, -47),
+  // Focus point relative to the followed point (x/z only, see height).
+  // With the offset above this keeps the character centered on screen.
+  focusOffset: new Vector3(10, 0, 10),
+  // The focus stays at this world height so hops don't bob the view.
+  height: 0,
+  smoothTime: 0.35, // seconds to (roughly) catch up with the character
+  scriptedSmoothTime: 0.6, // slower, more cinematic for scripted moves
+  lookAhead: 4, // world units to lead in the direction of travel
+  lookAheadSmoothTime: 0.5,
+  boundsMargin: 6, // keep the followed point this far inside the ground
+};
+
+// Critically-damped spring toward `target` (the "SmoothDamp" from Game
+// Programming Gems 4). Mutates `current` and `velocity` per axis and never
+// overshoots, regardless of frame rate.
+function smoothDamp(current, target, velocity, smoothTime, deltaTime) {
+  const omega = 2 / Math.max(smoothTime, 0.0001);
+  const x = omega * deltaTime;
+  const exp = 1 / (1 + x + 0.48 * x * x + 0.235 * x * x * x);
+
+  ["x", "y", "z"].forEach((axis) => {
+    const change = current[axis] - target[axis];
+    const temp = (velocity[axis] + omega * change) * deltaTime;
+    velocity[axis] = (velocity[axis] - omega * temp) * exp;
+    let next = target[axis] + (change + temp) * exp;
+
+    // Don't overshoot when the spring would carry us past the target.
+    if (target[axis] - current[axis] > 0 === next > target[axis]) {
+      next = target[axis];
+      velocity[axis] = (next - target[axis]) / deltaTime;
+    }
+    current[axis] = next;
+  });
+}
+
+export class CameraRig {
+  constructor(camera, options = {}) {
+    this.camera = camera;
+    this.options = { ...CAMERA_RIG_DEFAULTS, ...options };
+    // When false, update() leaves the camera alone (see camera modes).
+    this.enabled = true;
+
+    this.focus = new Vector3();
+    this.focusVelocity = new Vector3();
+    this.lookAheadOffset = new Vector3();
+    this.lookAheadVelocity = new Vector3();
+    this.bounds = null;
+    this.scriptedTarget = null;
+
+    this._goal = new Vector3();
+    this._desiredLookAhead = new Vector3();
+  }
+
+  // Clamp the followed point inside `box` (a world-space Box3, normally
+  // the Ground_Collider bounds) shrunk by boundsMargin on x/z.
+  setBounds(box) {
+    this.bounds = box.clone();
+  }
+
+  // Jumps straight to the character, e.g. on load or respawn.
+  snapTo(targetPosition) {
+    this.computeGoal(this._goal.copy(targetPosition));
+    this.focus.copy(this._goal);
+    this.focusVelocity.set(0, 0, 0);
+    this.lookAheadOffset.set(0, 0, 0);
+    this.lookAheadVelocity.set(0, 0, 0);
+    if (this.enabled) this.apply();
+  }
+
+  // Eases the camera toward `point` until release() is called. The point
+  // is framed the same way the character is.
+  focusOn(point) {
+    this.scriptedTarget = point.clone();
+  }
+
+  release() {
+    this.scriptedTarget = null;
+  }
+
+  // Turns the point we want on screen (in place) into the focus to look
+  // at: clamp it inside the bounds, then apply the framing offset.
+  computeGoal(point) {
+    this.clampToBounds(point);
+    point.add(this.options.focusOffset);
+    point.y = this.options.height;
+    return point;
+  }
+
+  clampToBounds(point) {
+    if (!this.bounds) return point;
+
+    const margin = this.options.boundsMargin;
+    ["x", "z"].forEach((axis) => {
+      const min = this.bounds.min[axis] + margin;
+      const max = this.bounds.max[axis] - margin;
+      point[axis] =
+        min > max
+          ? (this.bounds.min[axis] + this.bounds.max[axis]) / 2
+          : Math.min(Math.max(point[axis], min), max);
+    });
+    return point;
+  }
+
+  // `targetPosition` is the character's feet, `targetVelocity` its current
+  // velocity (only x/z are used for look-ahead). deltaTime is in seconds.
+  update(targetPosition, targetVelocity, deltaTime) {
+    if (!this.enabled || deltaTime <= 0) return;
+
+    const { lookAhead, lookAheadSmoothTime, smoothTime, scriptedSmoothTime } =
+      this.options;
+
+    this._desiredLookAhead.set(0, 0, 0);
+    if (!this.scriptedTarget) {
+      this._desiredLookAhead.set(targetVelocity.x, 0, targetVelocity.z);
+      if (this._desiredLookAhead.lengthSq() > 0) {
+        this._desiredLookAhead.normalize().multiplyScalar(lookAhead);
+      }
+    }
+    smoothDamp(
+      this.lookAheadOffset,
+      this._desiredLookAhead,
+      this.lookAheadVelocity,
+      lookAheadSmoothTime,
+      deltaTime
+    );
+
+    if (this.scriptedTarget) {
+      this._goal.copy(this.scriptedTarget);
+    } else {
+      this._goal.copy(targetPosition).add(this.lookAheadOffset);
+    }
+    this.computeGoal(this._goal);
+
+    const goalSmoothTime = this.scriptedTarget ? scriptedSmoothTime : smoothTime;
+    smoothDamp(
+      this.focus,
+      this._goal,
+      this.focusVelocity,
+      goalSmoothTime,
+      deltaTime
+    );
+    this.apply();
+  }
+
+  apply() {
+    this.camera.position.copy(this.focus).add(this.options.offset);
+    this.camera.lookAt(this.focus);
+  }
+}
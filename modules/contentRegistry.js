@@ -0,0 +1,433 @@
+// Content registry
+// Everything you can click on in the park is described by content.json,
+// which lives next to the GLB. Each entry is keyed by the name of a node in
+// the model and says what happens when that node is clicked:
+// - "modal":  open the project modal with title/content/links/media/tags
+//             (content is markdown, see modules/markdown.js; media are
+//             screenshots under media/ shown in the modal gallery)
+// - "jump":   make the critter hop (optional "jump" options tweak the hop)
+// - "link":   open `href` in a new tab straight away
+// - "custom": call a handler registered in main.js under `handler`
+// Any entry can name a `sound` from the `sounds` map to play on interaction,
+// and set `radius`/`prompt` for the walk-up "Press E" prompt. A modal can
+// give `completeContent`, shown instead of `content` once the visitor has
+// found everything in the park.
+//
+// Besides the sounds built into main.js, the manifest can add its own under
+// `sounds` (id -> Howl options plus `bus` and `spatial`, see
+// modules/audioManager.js), e.g. a cry per critter:
+//   "pikachuCry": { "src": ["./sfx/pikachu.ogg"], "bus": "sfx", "spatial": true }
+// and `ambient` zones, looping sounds that fade in near a node or a point:
+//   { "sound": "fountain", "node": "Fountain", "radius": 10, "falloff": 20 }
+// (The picnic's breeze is synthesized by scripts/make-breeze.mjs.)
+// `music` sets the playlist and the areas with their own tune (see
+// modules/musicDirector.js). A zone without a radius covers its node's
+// bounding box:
+//   { "playlist": ["backgroundMusic"], "shuffle": false,
+//     "zones": [{ "track": "picnicTune", "node": "Picnic", "radius": 20 }] }
+// (No zones yet either: the park theme is its only track so far.)
+//
+// `park` says which GLBs make up the park. The `base` model loads first and
+// must hold the Ground_Collider and the Character; `chunks` stream in after
+// the visitor can enter, each optionally replacing low-detail base nodes:
+//   { "base": "./Portfolio.glb",
+//     "chunks": [{ "url": "./park-level.glb", "replaces": ["Level_Low"] }] }
+// (Both are built from the Blender export by scripts/build-park.mjs.)
+//
+// `achievements` unlock as the visitor finds the entries they list (see
+// modules/achievements.js):
+//   { "id": "projects", "title": "Talent scout",
+//     "description": "Opened every project",
+//     "entries": ["Project_1", "Project_2", "Project_3"] }
+//
+// `tour` lists the stops of the guided tour, in order (see
+// modules/guidedTour.js): { "entry": "Project_1", "caption": "..." }.
+//
+// `person` ({ name, description, links }) is who the park belongs to. The
+// registry doesn't need it; it's read for the project list's JSON-LD (see
+// modules/fallbackPage.js), which scripts/prerender.mjs writes into
+// index.html whenever content.json changes.
+import { AUDIO_BUSES } from "./audioManager.js";
+import { LINK_LABELS } from "./fallbackPage.js";
+
+export const INTERACTION_TYPES = ["modal", "jump", "link", "custom"];
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim() !== "";
+}
+
+// Checks a single entry and returns a list of human readable problems.
+// An empty list means the entry is good to use.
+function validateEntry(name, entry, knownSounds) {
+  const problems = [];
+
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    return [`"${name}" must be an object`];
+  }
+
+  if (!INTERACTION_TYPES.includes(entry.type)) {
+    problems.push(
+      `"${name}" has unknown type "${entry.type}" (expected one of ${INTERACTION_TYPES.join(", ")})`
+    );
+  }
+
+  if (entry.type === "modal" && !isNonEmptyString(entry.title)) {
+    problems.push(`"${name}" is a modal but has no title`);
+  }
+
+  if (entry.type === "link" && !isNonEmptyString(entry.href)) {
+    problems.push(`"${name}" is a link but has no href`);
+  }
+
+  if (entry.type === "custom" && !isNonEmptyString(entry.handler)) {
+    problems.push(`"${name}" is custom but has no handler`);
+  }
+
+  if (entry.content !== undefined && typeof entry.content !== "string") {
+    problems.push(`"${name}" content must be a string`);
+  }
+
+  if (
+    entry.completeContent !== undefined &&
+    typeof entry.completeContent !== "string"
+  ) {
+    problems.push(`"${name}" completeContent must be a string`);
+  }
+
+  if (entry.links !== undefined) {
+    if (!Array.isArray(entry.links)) {
+      problems.push(`"${name}" links must be an array`);
+    } else {
+      entry.links.forEach((link, index) => {
+        const hasLabel =
+          link && (isNonEmptyString(link.label) || link.kind in LINK_LABELS);
+        if (!hasLabel || !isNonEmptyString(link.href)) {
+          problems.push(
+            `"${name}" links[${index}] needs an href and a label or kind`
+          );
+        }
+      });
+    }
+  }
+
+  if (entry.media !== undefined) {
+    if (!Array.isArray(entry.media)) {
+      problems.push(`"${name}" media must be an array`);
+    } else {
+      entry.media.forEach((item, index) => {
+        if (!item || !/^(\.\/)?media\//.test(item.src)) {
+          problems.push(`"${name}" media[${index}] must have a src in media/`);
+        }
+      });
+    }
+  }
+
+  if (
+    entry.tags !== undefined &&
+    (!Array.isArray(entry.tags) || !entry.tags.every(isNonEmptyString))
+  ) {
+    problems.push(`"${name}" tags must be an array of strings`);
+  }
+
+  if (
+    entry.radius !== undefined &&
+    !(typeof entry.radius === "number" && entry.radius > 0)
+  ) {
+    problems.push(`"${name}" radius must be a positive number`);
+  }
+
+  if (entry.prompt !== undefined && !isNonEmptyString(entry.prompt)) {
+    problems.push(`"${name}" prompt must be a non-empty string`);
+  }
+
+  if (entry.sound !== undefined && !knownSounds.includes(entry.sound)) {
+    problems.push(`"${name}" uses unknown sound "${entry.sound}"`);
+  }
+
+  return problems;
+}
+
+function validateSound(id, sound) {
+  if (!sound || typeof sound !== "object" || Array.isArray(sound)) {
+    return [`sound "${id}" must be an object`];
+  }
+
+  const problems = [];
+  const sources = Array.isArray(sound.src) ? sound.src : [sound.src];
+  if (sources.length === 0 || !sources.every(isNonEmptyString)) {
+    problems.push(`sound "${id}" needs a src`);
+  }
+  if (!AUDIO_BUSES.includes(sound.bus)) {
+    problems.push(
+      `sound "${id}" has unknown bus "${sound.bus}" (expected one of ${AUDIO_BUSES.join(", ")})`
+    );
+  }
+  return problems;
+}
+
+function isPosition(value) {
+  return (
+    Array.isArray(value) &&
+    value.length === 3 &&
+    value.every((item) => typeof item === "number")
+  );
+}
+
+function validateAmbientZone(index, zone, knownSounds) {
+  if (!zone || typeof zone !== "object") {
+    return [`ambient[${index}] must be an object`];
+  }
+
+  const problems = [];
+  if (!knownSounds.includes(zone.sound)) {
+    problems.push(`ambient[${index}] uses unknown sound "${zone.sound}"`);
+  }
+  if (!isNonEmptyString(zone.node) && !isPosition(zone.position)) {
+    problems.push(`ambient[${index}] needs a node or an [x, y, z] position`);
+  }
+  if (!(typeof zone.radius === "number" && zone.radius > 0)) {
+    problems.push(`ambient[${index}] radius must be a positive number`);
+  }
+  if (
+    zone.falloff !== undefined &&
+    !(typeof zone.falloff === "number" && zone.falloff > 0)
+  ) {
+    problems.push(`ambient[${index}] falloff must be a positive number`);
+  }
+  return problems;
+}
+
+function validateChunk(index, chunk) {
+  if (!chunk || !isNonEmptyString(chunk.url)) {
+    return [`park.chunks[${index}] needs a url`];
+  }
+  if (
+    chunk.replaces !== undefined &&
+    (!Array.isArray(chunk.replaces) || !chunk.replaces.every(isNonEmptyString))
+  ) {
+    return [`park.chunks[${index}] replaces must be an array of node names`];
+  }
+  return [];
+}
+
+function validateMusicZone(index, zone, knownSounds) {
+  if (!zone || typeof zone !== "object") {
+    return [`music.zones[${index}] must be an object`];
+  }
+
+  const problems = [];
+  if (!knownSounds.includes(zone.track)) {
+    problems.push(`music.zones[${index}] uses unknown track "${zone.track}"`);
+  }
+  if (isNonEmptyString(zone.node)) {
+    if (
+      zone.radius !== undefined &&
+      !(typeof zone.radius === "number" && zone.radius > 0)
+    ) {
+      problems.push(`music.zones[${index}] radius must be a positive number`);
+    }
+  } else if (
+    !isPosition(zone.position) ||
+    !(typeof zone.radius === "number" && zone.radius > 0)
+  ) {
+    problems.push(
+      `music.zones[${index}] needs a node, or a position and a radius`
+    );
+  }
+  return problems;
+}
+
+function validateAchievement(index, achievement, entryNames) {
+  if (!achievement || !isNonEmptyString(achievement.id)) {
+    return [`achievements[${index}] needs an id`];
+  }
+
+  const { id } = achievement;
+  const problems = [];
+  if (!isNonEmptyString(achievement.title)) {
+    problems.push(`achievement "${id}" needs a title`);
+  }
+  if (
+    achievement.description !== undefined &&
+    typeof achievement.description !== "string"
+  ) {
+    problems.push(`achievement "${id}" description must be a string`);
+  }
+  if (achievement.entries !== undefined) {
+    if (!Array.isArray(achievement.entries) || !achievement.entries.length) {
+      problems.push(`achievement "${id}" entries must be a non-empty array`);
+    } else {
+      achievement.entries
+        .filter((name) => !entryNames.includes(name))
+        .forEach((name) =>
+          problems.push(`achievement "${id}" uses unknown entry "${name}"`)
+        );
+    }
+  }
+  return problems;
+}
+
+function validateTourStep(index, step, entryNames) {
+  if (!step || !entryNames.includes(step.entry)) {
+    return [`tour[${index}] needs the name of an entry`];
+  }
+  if (step.caption !== undefined && !isNonEmptyString(step.caption)) {
+    return [`tour[${index}] caption must be a non-empty string`];
+  }
+  return [];
+}
+
+// Keeps the items that pass `validate` and reports the rest.
+function keepValid(items, validate) {
+  return items.filter((item, index) => {
+    const problems = validate(item, index);
+    problems.forEach((problem) => console.error(`[content] ${problem}`));
+    return problems.length === 0;
+  });
+}
+
+// Builds a registry from the parsed manifest. Broken entries are reported
+// and left out so one typo doesn't take the whole park down with it; a
+// manifest without an `entries` object is rejected outright.
+export function createContentRegistry(manifest, { knownSounds = [] } = {}) {
+  if (!manifest || typeof manifest.entries !== "object") {
+    throw new Error("content manifest is missing an `entries` object");
+  }
+
+  const entries = new Map();
+  const staticNames = new Set(manifest.static || []);
+
+  // Sounds come first so entries and ambient zones can refer to them.
+  const sounds = Object.fromEntries(
+    keepValid(Object.entries(manifest.sounds || {}), ([id, sound]) =>
+      validateSound(id, sound)
+    )
+  );
+  knownSounds = [...knownSounds, ...Object.keys(sounds)];
+
+  if (manifest.ambient !== undefined && !Array.isArray(manifest.ambient)) {
+    throw new Error("content manifest `ambient` must be an array");
+  }
+  const ambient = keepValid(manifest.ambient || [], (zone, index) =>
+    validateAmbientZone(index, zone, knownSounds)
+  );
+
+  const park = { base: "./Portfolio.glb", chunks: [], ...manifest.park };
+  if (!isNonEmptyString(park.base) || !Array.isArray(park.chunks)) {
+    throw new Error("content manifest `park` needs a base url and chunks");
+  }
+  park.chunks = keepValid(park.chunks, (chunk, index) =>
+    validateChunk(index, chunk)
+  );
+
+  const music = { playlist: [], shuffle: false, zones: [], ...manifest.music };
+  if (!Array.isArray(music.playlist) || !Array.isArray(music.zones)) {
+    throw new Error("content manifest `music` needs playlist and zones arrays");
+  }
+  music.playlist = keepValid(music.playlist, (id) =>
+    knownSounds.includes(id) ? [] : [`music.playlist uses unknown track "${id}"`]
+  );
+  music.zones = keepValid(music.zones, (zone, index) =>
+    validateMusicZone(index, zone, knownSounds)
+  );
+
+  Object.entries(manifest.entries).forEach(([name, entry]) => {
+    const problems = validateEntry(name, entry, knownSounds);
+    if (problems.length > 0) {
+      problems.forEach((problem) => console.error(`[content] ${problem}`));
+      return;
+    }
+    entries.set(name, entry);
+  });
+
+  if (
+    manifest.achievements !== undefined &&
+    !Array.isArray(manifest.achievements)
+  ) {
+    throw new Error("content manifest `achievements` must be an array");
+  }
+  const entryNames = [...entries.keys()];
+  const achievementIds = new Set();
+  const achievements = keepValid(
+    manifest.achievements || [],
+    (achievement, index) => {
+      const problems = validateAchievement(index, achievement, entryNames);
+      if (problems.length === 0 && achievementIds.has(achievement.id)) {
+        return [`achievement "${achievement.id}" is defined twice`];
+      }
+      achievementIds.add(achievement.id);
+      return problems;
+    }
+  );
+
+  if (manifest.tour !== undefined && !Array.isArray(manifest.tour)) {
+    throw new Error("content manifest `tour` must be an array");
+  }
+  const tour = keepValid(manifest.tour || [], (step, index) =>
+    validateTourStep(index, step, entryNames)
+  );
+
+  // Per-node lamp/glow settings, see modules/nightLights.js.
+  const nightLights = manifest.nightLights || {};
+  if (typeof nightLights !== "object" || Array.isArray(nightLights)) {
+    throw new Error("content manifest `nightLights` must be an object");
+  }
+
+  return {
+    entries,
+    staticNames,
+    nightLights,
+    sounds,
+    ambient,
+    music,
+    park,
+    achievements,
+    tour,
+    get(name) {
+      return entries.get(name);
+    },
+    has(name) {
+      return entries.has(name);
+    },
+    names() {
+      return [...entries.keys()];
+    },
+  };
+}
+
+// Compares the registry with the loaded scene and warns about:
+// - entries whose node isn't in the GLB (renamed or deleted in Blender)
+// - top-level nodes that look interactive but have no entry
+// Nodes listed under "static" in the manifest, and `Light_*` lamps (see
+// modules/nightLights.js), are expected to be inert. `sceneRoots` is the
+// loaded GLB scene, or a list of them when the park comes in chunks.
+export function auditSceneContent(registry, sceneRoots) {
+  const roots = [].concat(sceneRoots);
+  const names = new Set();
+  roots.forEach((root) =>
+    root.traverse((child) => {
+      if (child.name) names.add(child.name);
+    })
+  );
+
+  registry.names().forEach((name) => {
+    if (!names.has(name)) {
+      console.warn(`[content] "${name}" has an entry but no node in the scene`);
+    }
+  });
+
+  roots.forEach((root) =>
+    root.children.forEach((child) => {
+      if (
+        child.name &&
+        !registry.has(child.name) &&
+        !registry.staticNames.has(child.name) &&
+        !child.name.startsWith("Light_")
+      ) {
+        console.warn(
+          `[content] "${child.name}" looks interactive but has no entry in content.json`
+        );
+      }
+    })
+  );
+}
@@ -0,0 +1,127 @@
+// Fallback page
+// The park's projects as a plain HTML list: shown when the browser can't do
+// WebGL and in text mode, and pre-rendered into index.html (see
+// scripts/prerender.mjs) for crawlers, link previews and anyone browsing
+// without JavaScript. Every modal (and link) entry from content.json is
+// listed, reusing the modal's tag and button styles. The same projects are
+// also described as JSON-LD (a schema.org Person and their CreativeWorks).
+//
+// Everything is rendered to strings, so it works in Node as well; all text
+// from the manifest is escaped on the way in. Keep the imports to other
+// string-only modules: scripts/prerender.mjs runs this without three.js.
+import { escapeHtml, markdownToHtml, markdownToText } from "./markdown.js";
+
+// Modal buttons can give a `kind` instead of spelling out a label (here
+// rather than in the content registry, which needs three.js).
+export const LINK_LABELS = {
+  demo: "Live demo",
+  source: "Source code",
+  "case-study": "Case study",
+};
+
+// The manifest isn't run through the registry here: sound names and the
+// like don't matter without the park, and a half-valid entry is still
+// better than nothing on this page.
+function getProjects(manifest) {
+  return Object.entries((manifest && manifest.entries) || {}).filter(
+    ([, entry]) =>
+      entry &&
+      ((entry.type === "modal" && typeof entry.title === "string") ||
+        (entry.type === "link" && typeof entry.href === "string"))
+  );
+}
+
+function getLinks(entry) {
+  const links = (entry.links || [])
+    .filter((link) => link && link.href)
+    .map((link) => ({
+      href: link.href,
+      text: link.label || LINK_LABELS[link.kind],
+    }));
+  if (entry.type === "link") links.unshift({ href: entry.href, text: "Open" });
+  return links;
+}
+
+function renderLink({ href, text }) {
+  return (
+    `<a class="modal-project-visit-button" href="${escapeHtml(href)}"` +
+    ` target="_blank" rel="noopener noreferrer">${escapeHtml(text)}</a>`
+  );
+}
+
+function renderProject(name, entry) {
+  const lines = [`<h2>${escapeHtml(entry.title || name)}</h2>`];
+
+  if (Array.isArray(entry.tags) && entry.tags.length > 0) {
+    const tags = entry.tags.map(
+      (tag) => `<li class="modal-tag">${escapeHtml(tag)}</li>`
+    );
+    lines.push(`<ul class="modal-tags">${tags.join("")}</ul>`);
+  }
+
+  if (typeof entry.content === "string") {
+    const description = markdownToHtml(entry.content);
+    lines.push(`<div class="modal-project-description">${description}</div>`);
+  }
+
+  const links = getLinks(entry);
+  if (links.length > 0) {
+    const buttons = links.map(renderLink).join("");
+    lines.push(`<div class="modal-links">${buttons}</div>`);
+  }
+
+  return [
+    '<article class="fallback-project">',
+    ...lines.map((line) => `  ${line}`),
+    "</article>",
+  ].join("\n");
+}
+
+// The project list for `manifest` (parsed content.json), as HTML.
+export function renderProjectsHtml(manifest) {
+  return getProjects(manifest)
+    .map(([name, entry]) => renderProject(name, entry))
+    .join("\n");
+}
+
+// Fills `container` with the projects in `manifest`.
+export function renderFallbackPage(manifest, container) {
+  container.innerHTML = renderProjectsHtml(manifest);
+}
+
+// schema.org JSON-LD for the site's owner (the manifest's `person`) and
+// each project.
+export function getStructuredData(manifest) {
+  const person = (manifest && manifest.person) || {};
+  const hasPerson = typeof person.name === "string";
+
+  const works = getProjects(manifest).map(([name, entry]) => {
+    const [link] = getLinks(entry);
+    return {
+      "@type": "CreativeWork",
+      name: entry.title || name,
+      description:
+        typeof entry.content === "string"
+          ? markdownToText(entry.content)
+          : undefined,
+      keywords: Array.isArray(entry.tags) ? entry.tags.join(", ") : undefined,
+      url: link ? link.href : undefined,
+      creator: hasPerson ? { "@id": "#person" } : undefined,
+    };
+  });
+
+  const graph = hasPerson
+    ? [
+        {
+          "@type": "Person",
+          "@id": "#person",
+          name: person.name,
+          description: person.description,
+          sameAs: Array.isArray(person.links) ? person.links : undefined,
+        },
+        ...works,
+      ]
+    : works;
+
+  return { "@context": "https://schema.org", "@graph": graph };
+}
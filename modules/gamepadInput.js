@@ -0,0 +1,112 @@
+// Gamepad input
+// Polls the Gamepad API once a frame (browsers don't send events for stick
+// or button changes) and turns the "standard" mapping into park input:
+// - left stick or d-pad: writes an { x, y } vector (x right, y up, length
+//   0..1) into a MovementInput stick; the player controller hops in that
+//   direction, further the harder the stick is pushed
+// - face buttons: "button" events with the button's name on press
+//
+// Pads can be plugged in and out at any time. The most recently connected
+// pad drives the park (or any other one, once that's unplugged).
+//
+// Events (three.js EventDispatcher, like the player controller):
+// - "connected" / "disconnected": { gamepad }
+// - "button": { button } e.g. "a", "b", "x", "y", "start"
+import { EventDispatcher } from "three";
+
+// Standard mapping button indices, see
+// https://w3c.github.io/gamepad/#remapping
+const BUTTONS = {
+  a: 0,
+  b: 1,
+  x: 2,
+  y: 3,
+  back: 8,
+  start: 9,
+};
+
+const DPAD = { up: 12, down: 13, left: 14, right: 15 };
+
+// Sticks rest slightly off-center; ignore anything inside this radius and
+// rescale the rest so a light push still starts from zero.
+const STICK_DEADZONE = 0.2;
+
+export class GamepadInput extends EventDispatcher {
+  // `stick` is the pad's own source from MovementInput.addStick().
+  constructor(stick) {
+    super();
+
+    this.stick = stick;
+    this.gamepadIndex = null;
+    this.previousButtons = {};
+    this.supported = typeof navigator.getGamepads === "function";
+
+    window.addEventListener("gamepadconnected", (event) => {
+      this.gamepadIndex = event.gamepad.index;
+      this.dispatchEvent({ type: "connected", gamepad: event.gamepad });
+    });
+    window.addEventListener("gamepaddisconnected", (event) => {
+      if (event.gamepad.index === this.gamepadIndex) {
+        this.gamepadIndex = null;
+        this.previousButtons = {};
+        this.release();
+      }
+      this.dispatchEvent({ type: "disconnected", gamepad: event.gamepad });
+    });
+  }
+
+  getGamepad() {
+    if (!this.supported) return null;
+    const gamepads = [...navigator.getGamepads()].filter(Boolean);
+    if (gamepads.length === 0) return null;
+    return (
+      gamepads.find((gamepad) => gamepad.index === this.gamepadIndex) ||
+      gamepads[0]
+    );
+  }
+
+  // Call once per frame. Does nothing until a pad is connected.
+  poll() {
+    const gamepad = this.getGamepad();
+    if (!gamepad) return;
+    this.gamepadIndex = gamepad.index;
+
+    const pressed = (index) =>
+      Boolean(gamepad.buttons[index] && gamepad.buttons[index].pressed);
+
+    // D-pad wins over the stick; it's digital, so it's always a full push.
+    let x = Number(pressed(DPAD.right)) - Number(pressed(DPAD.left));
+    let y = Number(pressed(DPAD.up)) - Number(pressed(DPAD.down));
+    if (x === 0 && y === 0) {
+      // Stick y points down, ours points up.
+      x = gamepad.axes[0] || 0;
+      y = -(gamepad.axes[1] || 0);
+    }
+
+    const length = Math.hypot(x, y);
+    if (length <= STICK_DEADZONE) {
+      this.release();
+    } else {
+      const magnitude = Math.min(
+        (length - STICK_DEADZONE) / (1 - STICK_DEADZONE),
+        1
+      );
+      this.stick.x = (x / length) * magnitude;
+      this.stick.y = (y / length) * magnitude;
+    }
+
+    Object.entries(BUTTONS).forEach(([name, index]) => {
+      const isPressed = pressed(index);
+      if (isPressed && !this.previousButtons[name]) {
+        this.dispatchEvent({ type: "button", button: name });
+      }
+      this.previousButtons[name] = isPressed;
+    });
+  }
+
+  // Stops any movement, e.g. when the window loses focus.
+  release() {
+    this.stick.x = 0;
+    this.stick.y = 0;
+  }
+}
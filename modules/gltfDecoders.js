@@ -0,0 +1,41 @@
+// GLB decoders
+// Lets GLTFLoader read compressed models: Draco or Meshopt geometry and
+// KTX2 (Basis Universal) textures. The park's own GLBs use Meshopt, see
+// scripts/build-park.mjs.
+// The Draco and Basis decoders are WebAssembly files served from our own
+// origin rather than a CDN, committed as-is from three r149 (keep them in
+// step with the importmap's version when upgrading):
+//   three/examples/jsm/libs/draco/gltf/  ->  ./decoders/draco/
+//   three/examples/jsm/libs/basis/       ->  ./decoders/basis/
+// The page only fetches them when a model actually uses that compression;
+// sw.js precaches them for offline visits.
+// Meshopt's decoder is a plain JS module, loaded through the importmap like
+// the other three addons.
+import { DRACOLoader } from "three/addons/loaders/DRACOLoader.js";
+import { KTX2Loader } from "three/addons/loaders/KTX2Loader.js";
+import { MeshoptDecoder } from "three/addons/libs/meshopt_decoder.module.js";
+
+export const DECODER_PATHS = {
+  draco: "./decoders/draco/",
+  basis: "./decoders/basis/",
+};
+
+// Shared between every GLTFLoader so the decoder workers are only spun up
+// once.
+let dracoLoader = null;
+let ktx2Loader = null;
+
+// `renderer` is needed to pick a KTX2 transcode target the GPU supports.
+export function configureGLTFLoader(loader, renderer) {
+  if (!dracoLoader) {
+    dracoLoader = new DRACOLoader().setDecoderPath(DECODER_PATHS.draco);
+    ktx2Loader = new KTX2Loader()
+      .setTranscoderPath(DECODER_PATHS.basis)
+      .detectSupport(renderer);
+  }
+
+  return loader
+    .setDRACOLoader(dracoLoader)
+    .setKTX2Loader(ktx2Loader)
+    .setMeshoptDecoder(MeshoptDecoder);
+}
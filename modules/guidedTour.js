@@ -0,0 +1,74 @@
+// Guided tour
+// Steps through content.json's `tour` for visitors who'd rather be shown
+// around than explore. Each stop names an entry and optionally a caption:
+//   "tour": [{ "entry": "Project_1", "caption": "Where it all started" }]
+// The tour only keeps track of where it is; main.js walks the character to
+// each stop and opens it whenever the stop changes, on the "change" event
+// ({ state }, see getState; three.js EventDispatcher).
+import { EventDispatcher } from "three";
+
+export class GuidedTour extends EventDispatcher {
+  constructor(steps = []) {
+    super();
+    this.steps = steps;
+    this.index = -1; // -1 while no tour is running
+  }
+
+  // Stops come from the manifest, so they're only known once it's loaded.
+  setSteps(steps) {
+    this.stop();
+    this.steps = steps;
+  }
+
+  get active() {
+    return this.index !== -1;
+  }
+
+  getStep() {
+    return this.steps[this.index] || null;
+  }
+
+  start(index = 0) {
+    if (this.steps.length === 0) return;
+    this.goTo(index);
+  }
+
+  goTo(index) {
+    this.index = Math.min(Math.max(index, 0), this.steps.length - 1);
+    this.notify();
+  }
+
+  // Moving on from the last stop ends the tour.
+  next() {
+    if (!this.active) return;
+    if (this.index === this.steps.length - 1) {
+      this.stop();
+    } else {
+      this.goTo(this.index + 1);
+    }
+  }
+
+  previous() {
+    if (this.active && this.index > 0) this.goTo(this.index - 1);
+  }
+
+  stop() {
+    if (!this.active) return;
+    this.index = -1;
+    this.notify();
+  }
+
+  getState() {
+    return {
+      active: this.active,
+      index: this.index,
+      total: this.steps.length,
+      step: this.getStep(),
+    };
+  }
+
+  // Called whenever the tour starts, moves to another stop or ends.
+  notify() {
+    this.dispatchEvent({ type: "change", state: this.getState() });
+  }
+}
@@ -0,0 +1,168 @@
+// Lighting presets
+// Named looks for the park (dawn, day, dusk, night). Each preset sets the
+// sun, the ambient light, the sky/fog color and the renderer's tone-mapping
+// exposure, plus which UI theme (light/dark CSS class) goes with it.
+// `night` runs from 0 (full daylight) to 1 (full night) so other things,
+// like lamps, can fade with the light.
+//
+// Besides the fixed presets there's an "auto" mode that follows the
+// visitor's local clock, blending between presets through the day.
+import { Color, MathUtils, Vector3 } from "three";
+
+export const LIGHTING_PRESETS = {
+  dawn: {
+    theme: "light",
+    night: 0.4,
+    sunColor: 0xffc9a3,
+    sunIntensity: 0.85,
+    sunPosition: [280, 120, 20],
+    ambientColor: 0x5b4f66,
+    ambientIntensity: 2.2,
+    background: 0xd8bc8a,
+    fogNear: 150,
+    fogFar: 420,
+    exposure: 1.5,
+  },
+  day: {
+    theme: "light",
+    night: 0,
+    sunColor: 0xffffff,
+    sunIntensity: 1,
+    sunPosition: [280, 200, -80],
+    ambientColor: 0x404040,
+    ambientIntensity: 2.7,
+    background: 0xaec972,
+    fogNear: 200,
+    fogFar: 600,
+    exposure: 1.7,
+  },
+  dusk: {
+    theme: "dark",
+    night: 0.6,
+    sunColor: 0xff9a66,
+    sunIntensity: 0.8,
+    sunPosition: [220, 110, -160],
+    ambientColor: 0x4f4068,
+    ambientIntensity: 1.8,
+    background: 0xb87d6a,
+    fogNear: 150,
+    fogFar: 420,
+    exposure: 1.4,
+  },
+  night: {
+    theme: "dark",
+    night: 1,
+    // Same moonlight the old dark theme used.
+    sunColor: new Color(0.25, 0.41, 0.88).getHex(),
+    sunIntensity: 0.8,
+    sunPosition: [260, 220, -40],
+    ambientColor: new Color(0.25, 0.31, 0.78).getHex(),
+    ambientIntensity: 0.9,
+    background: 0x3e4a6d,
+    fogNear: 120,
+    fogFar: 380,
+    exposure: 1.3,
+  },
+};
+
+// Order the theme button cycles through; "auto" follows the clock.
+export const LIGHTING_MODES = ["day", "dusk", "night", "dawn", "auto"];
+
+// Where each preset sits in the day (hours, local time) for "auto". Between
+// two keyframes the presets are blended.
+const CLOCK_KEYFRAMES = [
+  [0, "night"],
+  [5, "night"],
+  [6.5, "dawn"],
+  [9, "day"],
+  [17, "day"],
+  [19, "dusk"],
+  [21, "night"],
+  [24, "night"],
+];
+
+// A lighting state with live Color/Vector3 objects, ready to blend/apply.
+export function createLightingState(presetName = "day") {
+  const state = {
+    theme: "light",
+    night: 0,
+    sunColor: new Color(),
+    sunIntensity: 1,
+    sunPosition: new Vector3(),
+    ambientColor: new Color(),
+    ambientIntensity: 1,
+    background: new Color(),
+    fogNear: 1,
+    fogFar: 1,
+    exposure: 1,
+  };
+  return copyPreset(LIGHTING_PRESETS[presetName], state);
+}
+
+function copyPreset(preset, state) {
+  state.theme = preset.theme;
+  state.night = preset.night;
+  state.sunColor.set(preset.sunColor);
+  state.sunIntensity = preset.sunIntensity;
+  state.sunPosition.fromArray(preset.sunPosition);
+  state.ambientColor.set(preset.ambientColor);
+  state.ambientIntensity = preset.ambientIntensity;
+  state.background.set(preset.background);
+  state.fogNear = preset.fogNear;
+  state.fogFar = preset.fogFar;
+  state.exposure = preset.exposure;
+  return state;
+}
+
+export function copyLightingState(source, target) {
+  target.theme = source.theme;
+  target.night = source.night;
+  target.sunColor.copy(source.sunColor);
+  target.sunIntensity = source.sunIntensity;
+  target.sunPosition.copy(source.sunPosition);
+  target.ambientColor.copy(source.ambientColor);
+  target.ambientIntensity = source.ambientIntensity;
+  target.background.copy(source.background);
+  target.fogNear = source.fogNear;
+  target.fogFar = source.fogFar;
+  target.exposure = source.exposure;
+  return target;
+}
+
+// Writes the blend of states `a` and `b` (t = 0..1) into `out`. The theme
+// flips halfway so the UI switches when the light is mostly the new look.
+export function blendLightingStates(a, b, t, out) {
+  const lerp = MathUtils.lerp;
+  out.theme = t < 0.5 ? a.theme : b.theme;
+  out.night = lerp(a.night, b.night, t);
+  out.sunColor.lerpColors(a.sunColor, b.sunColor, t);
+  out.sunIntensity = lerp(a.sunIntensity, b.sunIntensity, t);
+  out.sunPosition.lerpVectors(a.sunPosition, b.sunPosition, t);
+  out.ambientColor.lerpColors(a.ambientColor, b.ambientColor, t);
+  out.ambientIntensity = lerp(a.ambientIntensity, b.ambientIntensity, t);
+  out.background.lerpColors(a.background, b.background, t);
+  out.fogNear = lerp(a.fogNear, b.fogNear, t);
+  out.fogFar = lerp(a.fogFar, b.fogFar, t);
+  out.exposure = lerp(a.exposure, b.exposure, t);
+  return out;
+}
+
+// The lighting for a moment of the day, for "auto" mode.
+export function getClockLightingState(date, out) {
+  const hours = date.getHours() + date.getMinutes() / 60;
+
+  for (let i = 0; i < CLOCK_KEYFRAMES.length - 1; i++) {
+    const [startHour, startPreset] = CLOCK_KEYFRAMES[i];
+    const [endHour, endPreset] = CLOCK_KEYFRAMES[i + 1];
+    if (hours >= startHour && hours < endHour) {
+      const t = (hours - startHour) / (endHour - startHour);
+      return blendLightingStates(
+        createLightingState(startPreset),
+        createLightingState(endPreset),
+        t,
+        out
+      );
+    }
+  }
+  return copyPreset(LIGHTING_PRESETS.night, out);
+}
@@ -0,0 +1,165 @@
+// Tiny markdown renderer for modal text
+// Supports just what project blurbs need:
+// - paragraphs separated by a blank line
+// - "- " bullet lists
+// - **bold**, *italic*, `code` and [text](https://links)
+// renderMarkdown builds DOM nodes with textContent, never innerHTML, so
+// text such as "the Draft.js <Editor>" is shown as-is instead of parsed.
+// markdownToHtml gives the same markup as a string with every bit of text
+// escaped, for the pre-rendered project list (which has no DOM to build
+// in), and markdownToText the plain words, for descriptions and metadata.
+
+const INLINE_PATTERN =
+  /(\*\*([^*]+)\*\*)|(\*([^*]+)\*)|(`([^`]+)`)|(\[([^\]]+)\]\(([^)\s]+)\))/g;
+
+const INLINE_TAGS = { bold: "strong", italic: "em", code: "code" };
+
+// Only allow links that leave the page to somewhere sensible; anything
+// else (javascript:, data:, ...) is rendered as plain text.
+function isSafeHref(href) {
+  return /^(https?:|mailto:)/i.test(href);
+}
+
+// Splits a line into { type, text, href } pieces; type is "text", "bold",
+// "italic", "code" or "link".
+function parseInline(text) {
+  const pieces = [];
+  let lastIndex = 0;
+
+  text.replace(INLINE_PATTERN, (match, ...groups) => {
+    const offset = groups[groups.length - 2];
+    if (offset > lastIndex) {
+      pieces.push({ type: "text", text: text.slice(lastIndex, offset) });
+    }
+    lastIndex = offset + match.length;
+
+    const [, bold, , italic, , code, , label, href] = groups;
+    if (bold !== undefined) {
+      pieces.push({ type: "bold", text: bold });
+    } else if (italic !== undefined) {
+      pieces.push({ type: "italic", text: italic });
+    } else if (code !== undefined) {
+      pieces.push({ type: "code", text: code });
+    } else if (isSafeHref(href)) {
+      pieces.push({ type: "link", text: label, href });
+    } else {
+      pieces.push({ type: "text", text: label });
+    }
+    return match;
+  });
+
+  if (lastIndex < text.length) {
+    pieces.push({ type: "text", text: text.slice(lastIndex) });
+  }
+  return pieces;
+}
+
+// Splits the source into { type: "list" | "paragraph", lines } blocks;
+// a paragraph has a single line.
+function parseBlocks(source) {
+  return source
+    .trim()
+    .split(/\n\s*\n/)
+    .map((block) => {
+      const lines = block.split("\n").map((line) => line.trim());
+      if (lines.every((line) => line.startsWith("- "))) {
+        return { type: "list", lines: lines.map((line) => line.slice(2)) };
+      }
+      return { type: "paragraph", lines: [lines.join(" ")] };
+    });
+}
+
+function appendInline(parent, text) {
+  parseInline(text).forEach((piece) => {
+    if (piece.type === "text") {
+      parent.append(piece.text);
+      return;
+    }
+
+    const node = document.createElement(INLINE_TAGS[piece.type] || "a");
+    if (piece.type === "link") {
+      node.href = piece.href;
+      node.target = "_blank";
+      node.rel = "noopener noreferrer";
+    }
+    node.textContent = piece.text;
+    parent.append(node);
+  });
+}
+
+// Replaces the children of `container` with the rendered markdown.
+export function renderMarkdown(source, container) {
+  container.replaceChildren();
+
+  parseBlocks(source).forEach((block) => {
+    if (block.type === "list") {
+      const list = document.createElement("ul");
+      block.lines.forEach((line) => {
+        const item = document.createElement("li");
+        appendInline(item, line);
+        list.append(item);
+      });
+      container.append(list);
+    } else {
+      const paragraph = document.createElement("p");
+      appendInline(paragraph, block.lines[0]);
+      container.append(paragraph);
+    }
+  });
+}
+
+// Escapes text for use in HTML content and double-quoted attributes.
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function inlineToHtml(text) {
+  return parseInline(text)
+    .map((piece) => {
+      const content = escapeHtml(piece.text);
+      if (piece.type === "text") return content;
+      if (piece.type === "link") {
+        const href = escapeHtml(piece.href);
+        return (
+          `<a href="${href}" target="_blank" rel="noopener noreferrer">` +
+          `${content}</a>`
+        );
+      }
+      const tag = INLINE_TAGS[piece.type];
+      return `<${tag}>${content}</${tag}>`;
+    })
+    .join("");
+}
+
+export function markdownToHtml(source) {
+  return parseBlocks(source)
+    .map((block) => {
+      if (block.type === "list") {
+        const items = block.lines.map(
+          (line) => `<li>${inlineToHtml(line)}</li>`
+        );
+        return `<ul>${items.join("")}</ul>`;
+      }
+      return `<p>${inlineToHtml(block.lines[0])}</p>`;
+    })
+    .join("");
+}
+
+export function markdownToText(source) {
+  return parseBlocks(source)
+    .map((block) =>
+      block.lines
+        .map((line) =>
+          parseInline(line)
+            .map((piece) => piece.text)
+            .join("")
+        )
+        .join(" ")
+    )
+    .join(" ");
+}
@@ -0,0 +1,74 @@
+// Movement input
+// Everything that can move the character (keyboard, the on-screen arrows,
+// a gamepad, tap-to-move, ...) is a source here, and the player controller
+// only ever sees one combined 2D vector: x right, y up on screen, length
+// 0..1 for how hard to hop.
+// - button sources are { up, down, left, right } booleans. Held buttons
+//   from every such source are combined and normalized, so up+left is a
+//   full-speed diagonal rather than a sqrt(2) faster one.
+// - stick sources are { x, y } vectors, already scaled to 0..1.
+// Everything is added up and the result capped at length 1.
+import { Vector2 } from "three";
+
+export class MovementInput {
+  constructor() {
+    this.buttons = new Map(); // source name -> { up, down, left, right }
+    this.sticks = new Map(); // source name -> { x, y }
+  }
+
+  // Returns the source's state object; write to it to move.
+  addButtons(name) {
+    const buttons = { up: false, down: false, left: false, right: false };
+    this.buttons.set(name, buttons);
+    return buttons;
+  }
+
+  addStick(name) {
+    const stick = { x: 0, y: 0 };
+    this.sticks.set(name, stick);
+    return stick;
+  }
+
+  // The combined movement vector, written into `target`.
+  getVector(target = new Vector2()) {
+    let x = 0;
+    let y = 0;
+    this.buttons.forEach((buttons) => {
+      x += Number(buttons.right) - Number(buttons.left);
+      y += Number(buttons.up) - Number(buttons.down);
+    });
+    // Up on the keyboard and up on screen together is still just up.
+    target.set(Math.sign(x), Math.sign(y));
+    if (target.lengthSq() > 0) target.normalize();
+
+    this.sticks.forEach((stick) => {
+      target.x += stick.x;
+      target.y += stick.y;
+    });
+    if (target.lengthSq() > 1) target.normalize();
+    return target;
+  }
+
+  // True when any source except `ignored` (a source name) is pushing.
+  isActive(ignored = "") {
+    const pushed = (name, state) =>
+      name !== ignored && Object.values(state).some(Boolean);
+    return (
+      [...this.buttons].some(([name, state]) => pushed(name, state)) ||
+      [...this.sticks].some(([name, state]) => pushed(name, state))
+    );
+  }
+
+  // Lets go of everything, e.g. when the window loses focus.
+  release() {
+    this.buttons.forEach((buttons) => {
+      Object.keys(buttons).forEach((key) => {
+        buttons[key] = false;
+      });
+    });
+    this.sticks.forEach((stick) => {
+      stick.x = 0;
+      stick.y = 0;
+    });
+  }
+}
@@ -0,0 +1,178 @@
+// Music director
+// Decides which music track plays. Normally that's the playlist, one track
+// after another (optionally shuffled); inside a music zone it's the zone's
+// track instead, looping for as long as the character stays there. Changes
+// crossfade, using the audio manager's per-sound gain so the bus volume,
+// ducking and mute all still apply.
+//
+// Zones come from content.json (see modules/contentRegistry.js) and are
+// either a circle ({ track, center, radius }) or a node's bounding box
+// ({ track, box }). To stop the music flapping when the character stands on
+// a boundary, a zone is only left once the character is ZONE_EXIT_MARGIN
+// past its edge.
+//
+// Events (three.js EventDispatcher): "change" ({ nowPlaying }, see
+// getNowPlaying) whenever the track changes.
+import { EventDispatcher } from "three";
+
+const CROSSFADE_DURATION = 2000; // ms
+const ZONE_EXIT_MARGIN = 2; // world units
+
+function isInsideZone(zone, position, margin) {
+  if (zone.box) {
+    const { min, max } = zone.box;
+    return (
+      position.x >= min.x - margin &&
+      position.x <= max.x + margin &&
+      position.z >= min.z - margin &&
+      position.z <= max.z + margin
+    );
+  }
+  const dx = position.x - zone.center.x;
+  const dz = position.z - zone.center.z;
+  return Math.hypot(dx, dz) <= zone.radius + margin;
+}
+
+export class MusicDirector extends EventDispatcher {
+  // `playlist` lists track ids registered with `audio` on the "music" bus.
+  // Tracks shouldn't `loop`; the director decides what plays next.
+  constructor(audio, { playlist, shuffle = false }) {
+    super();
+    this.audio = audio;
+    this.playlist = playlist;
+    this.zones = [];
+    this.shuffle = shuffle;
+    this.started = false;
+    this.playlistIndex = 0;
+    this.zone = null;
+    this.current = null; // track id that's playing (or will, once unmuted)
+    this.watched = new Set();
+
+    playlist.forEach((id) => this.watch(id));
+
+    // Unmuting music (or starting while it was muted) picks the current
+    // track back up; the audio manager paused it when the bus was muted.
+    this.audio.addEventListener("change", () => this.resume());
+  }
+
+  // Zones are only known once the park has loaded.
+  setZones(zones) {
+    this.zones = zones;
+    zones.forEach(({ track }) => this.watch(track));
+  }
+
+  watch(id) {
+    if (this.watched.has(id)) return;
+    this.watched.add(id);
+    this.audio.sounds[id].on("end", () => this.onTrackEnd(id));
+  }
+
+  // Call from a user gesture, like audio.start().
+  start() {
+    if (this.started) return;
+    this.started = true;
+    if (this.shuffle) this.playlistIndex = this.randomIndex();
+    this.switchTo(this.pickTrack());
+  }
+
+  // Skips to the next playlist track. Inside a zone this only moves the
+  // playlist along; the zone keeps its tune.
+  next() {
+    this.playlistIndex = this.shuffle
+      ? this.randomIndex()
+      : (this.playlistIndex + 1) % this.playlist.length;
+    if (this.started && !this.zone) this.switchTo(this.pickTrack());
+    this.notify();
+  }
+
+  setShuffle(shuffle) {
+    this.shuffle = shuffle;
+    this.notify();
+  }
+
+  // A different playlist index from the current one, when there's a choice.
+  randomIndex() {
+    if (this.playlist.length < 2) return 0;
+    const offset = 1 + Math.floor(Math.random() * (this.playlist.length - 1));
+    return (this.playlistIndex + offset) % this.playlist.length;
+  }
+
+  pickTrack() {
+    return this.zone ? this.zone.track : this.playlist[this.playlistIndex];
+  }
+
+  // Call every frame with the character's position.
+  update(position) {
+    if (this.zone && isInsideZone(this.zone, position, ZONE_EXIT_MARGIN)) {
+      return;
+    }
+
+    const zone =
+      this.zones.find((candidate) => isInsideZone(candidate, position, 0)) ||
+      null;
+    if (zone === this.zone) return;
+
+    this.zone = zone;
+    if (this.started) this.switchTo(this.pickTrack());
+    this.notify();
+  }
+
+  // Crossfades from whatever is playing to `id`.
+  switchTo(id) {
+    const previous = this.current;
+    this.current = id;
+    if (previous === id) return;
+
+    if (previous) {
+      this.audio.setGain(previous, 0, CROSSFADE_DURATION);
+      this.audio.sounds[previous].once("fade", () => {
+        // Unless we came straight back to it while it was fading out.
+        if (this.current !== previous) this.audio.stop(previous);
+      });
+    }
+
+    // A track we're coming back to mid fade-out fades up from where it is.
+    if (!this.audio.sounds[id].playing()) {
+      this.audio.setGain(id, previous ? 0 : 1);
+      this.audio.play(id);
+    }
+    this.audio.setGain(id, 1, previous ? CROSSFADE_DURATION : 0);
+    this.notify();
+  }
+
+  onTrackEnd(id) {
+    if (id !== this.current) return;
+    if (this.zone) {
+      this.audio.play(id);
+    } else {
+      this.next();
+      // A one-track playlist just goes round again.
+      if (this.current === id) this.audio.play(id);
+    }
+  }
+
+  resume() {
+    if (!this.started || !this.current) return;
+    if (this.audio.buses.music.muted) return;
+    if (!this.audio.sounds[this.current].playing()) {
+      this.audio.play(this.current);
+      this.notify();
+    }
+  }
+
+  // What the "now playing" HUD shows.
+  getNowPlaying() {
+    const id = this.current;
+    return {
+      id,
+      title: id ? this.audio.definitions[id].title || id : "",
+      zone: Boolean(this.zone),
+      shuffle: this.shuffle,
+      playing: Boolean(id) && this.started && !this.audio.buses.music.muted,
+    };
+  }
+
+  notify() {
+    this.dispatchEvent({ type: "change", nowPlaying: this.getNowPlaying() });
+  }
+}
@@ -0,0 +1,363 @@
+// Navigation grid
+// Pathfinding for tap-to-move. The park's collider is sampled on a regular
+// x/z grid by casting rays straight down into the Octree: a cell is
+// walkable when the ray lands on a floor-like surface, and two neighbouring
+// cells connect when the height difference between them is a hop the
+// character can make. Fences, trunks and walls in the collider show up as
+// steep or tall cells and are routed around. Walls without a top (just a
+// vertical face, which a ray straight down never hits) are found by
+// checking for anything in the way a hop above each floor sample.
+//
+// findPath() runs A* over the 8-connected grid, then drops every waypoint
+// that has a clear straight line to a later one, so the character heads
+// straight for the goal instead of zig-zagging from cell to cell.
+// findPathNear() does the same for walking up to an object: the goal is the
+// closest cell within reach of it that can be hopped to from the start.
+import { Ray, Sphere, Vector3 } from "three";
+
+export const NAV_GRID_DEFAULTS = {
+  cellSize: 1.5, // world units between samples
+  maxStep: 1.5, // highest climb between neighbouring cells
+  minFloorNormal: 0.7, // surfaces steeper than ~45 degrees aren't floor
+  castHeight: 200, // rays start this far above the bounds' top
+  searchRadius: 4, // cells to look around an unwalkable start or goal
+};
+
+// Min-heap of cell indices keyed by an external score array.
+class CellHeap {
+  constructor(scores) {
+    this.scores = scores;
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(cell) {
+    const { items, scores } = this;
+    items.push(cell);
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (scores[items[parent]] <= scores[cell]) break;
+      items[index] = items[parent];
+      index = parent;
+    }
+    items[index] = cell;
+  }
+
+  pop() {
+    const { items, scores } = this;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        const child =
+          right < items.length && scores[items[right]] < scores[items[left]]
+            ? right
+            : left;
+        if (child >= items.length || scores[items[child]] >= scores[last]) {
+          break;
+        }
+        items[index] = items[child];
+        index = child;
+      }
+      items[index] = last;
+    }
+    return top;
+  }
+}
+
+export class NavGrid {
+  // `collider` is the park's Octree, `bounds` a Box3 around the ground.
+  constructor(collider, bounds, options = {}) {
+    this.collider = collider;
+    this.bounds = bounds.clone();
+    this.options = { ...NAV_GRID_DEFAULTS, ...options };
+
+    const { cellSize } = this.options;
+    const size = bounds.getSize(new Vector3());
+    this.columns = Math.max(Math.ceil(size.x / cellSize), 1);
+    this.rows = Math.max(Math.ceil(size.z / cellSize), 1);
+    // Floor height per cell, NaN where there's nothing to stand on.
+    this.heights = new Float32Array(this.columns * this.rows).fill(NaN);
+    this.built = false;
+  }
+
+  // Samples the collider. Call again if the collider changes.
+  build() {
+    const { cellSize, maxStep, minFloorNormal, castHeight } = this.options;
+    const ray = new Ray(new Vector3(), new Vector3(0, -1, 0));
+    const top = this.bounds.max.y + castHeight;
+    // Reaches halfway to the neighbouring samples, so a thin wall between
+    // two of them still blocks one.
+    const clearance = new Sphere(new Vector3(), cellSize / 2);
+
+    for (let row = 0; row < this.rows; row++) {
+      for (let column = 0; column < this.columns; column++) {
+        const cell = row * this.columns + column;
+        this.getCellCenter(cell, ray.origin);
+        ray.origin.y = top;
+        this.heights[cell] = NaN;
+
+        const hit = this.collider.rayIntersect(ray);
+        const isFloor =
+          hit && hit.triangle.getNormal(new Vector3()).y >= minFloorNormal;
+        if (!isFloor) continue;
+
+        clearance.center.copy(hit.position);
+        clearance.center.y += maxStep + clearance.radius;
+        if (this.collider.sphereIntersect(clearance)) continue;
+        this.heights[cell] = hit.position.y;
+      }
+    }
+    this.built = true;
+    return this;
+  }
+
+  getCellCenter(cell, target) {
+    const { cellSize } = this.options;
+    const column = cell % this.columns;
+    const row = Math.floor(cell / this.columns);
+    return target.set(
+      this.bounds.min.x + (column + 0.5) * cellSize,
+      this.heights[cell],
+      this.bounds.min.z + (row + 0.5) * cellSize
+    );
+  }
+
+  // The cell under a world position, or -1 outside the grid.
+  getCell(position) {
+    const { cellSize } = this.options;
+    const column = Math.floor((position.x - this.bounds.min.x) / cellSize);
+    const row = Math.floor((position.z - this.bounds.min.z) / cellSize);
+    if (column < 0 || row < 0 || column >= this.columns || row >= this.rows) {
+      return -1;
+    }
+    return row * this.columns + column;
+  }
+
+  isWalkable(cell) {
+    return cell >= 0 && !Number.isNaN(this.heights[cell]);
+  }
+
+  canStep(from, to) {
+    return (
+      this.isWalkable(from) &&
+      this.isWalkable(to) &&
+      Math.abs(this.heights[from] - this.heights[to]) <= this.options.maxStep
+    );
+  }
+
+  // The walkable cell closest to `position` within searchRadius, or -1.
+  findNearestWalkable(position) {
+    const start = this.getCell(position);
+    if (this.isWalkable(start)) return start;
+
+    const { cellSize, searchRadius } = this.options;
+    const center = new Vector3();
+    let best = -1;
+    let bestDistance = Infinity;
+    const column = Math.floor((position.x - this.bounds.min.x) / cellSize);
+    const row = Math.floor((position.z - this.bounds.min.z) / cellSize);
+
+    for (let dz = -searchRadius; dz <= searchRadius; dz++) {
+      for (let dx = -searchRadius; dx <= searchRadius; dx++) {
+        const c = column + dx;
+        const r = row + dz;
+        if (c < 0 || r < 0 || c >= this.columns || r >= this.rows) continue;
+        const cell = r * this.columns + c;
+        if (!this.isWalkable(cell)) continue;
+        this.getCellCenter(cell, center);
+        const distance =
+          (center.x - position.x) ** 2 + (center.z - position.z) ** 2;
+        if (distance < bestDistance) {
+          best = cell;
+          bestDistance = distance;
+        }
+      }
+    }
+    return best;
+  }
+
+  // Neighbours of `cell` the character can hop to. Diagonals need both
+  // sides open so paths don't cut the corners of obstacles.
+  getNeighbours(cell) {
+    const column = cell % this.columns;
+    const row = Math.floor(cell / this.columns);
+    const neighbours = [];
+
+    for (let dz = -1; dz <= 1; dz++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if (dx === 0 && dz === 0) continue;
+        const c = column + dx;
+        const r = row + dz;
+        if (c < 0 || r < 0 || c >= this.columns || r >= this.rows) continue;
+        const next = r * this.columns + c;
+        if (!this.canStep(cell, next)) continue;
+        if (
+          dx !== 0 &&
+          dz !== 0 &&
+          !(
+            this.canStep(cell, row * this.columns + c) &&
+            this.canStep(cell, r * this.columns + column)
+          )
+        ) {
+          continue;
+        }
+        neighbours.push([next, dx !== 0 && dz !== 0 ? Math.SQRT2 : 1]);
+      }
+    }
+    return neighbours;
+  }
+
+  // True when the straight line from cell `a` to cell `b` only crosses
+  // walkable cells with hoppable steps between them.
+  hasLineOfSight(a, b) {
+    const from = this.getCellCenter(a, new Vector3());
+    const to = this.getCellCenter(b, new Vector3());
+    const distance = Math.hypot(to.x - from.x, to.z - from.z);
+    const steps = Math.ceil(distance / (this.options.cellSize / 2));
+    const point = new Vector3();
+    let previous = a;
+
+    for (let i = 1; i <= steps; i++) {
+      point.lerpVectors(from, to, i / steps);
+      const cell = this.getCell(point);
+      if (cell !== previous) {
+        if (!this.canStep(previous, cell)) return false;
+        previous = cell;
+      }
+    }
+    return true;
+  }
+
+  // A list of world-space waypoints from `from` to `to` (the last one is
+  // `to` itself when it's walkable), or null when there's no way there.
+  findPath(from, to) {
+    if (!this.built) this.build();
+
+    const start = this.findNearestWalkable(from);
+    const goal = this.findNearestWalkable(to);
+    if (start === -1 || goal === -1) return null;
+
+    const goalColumn = goal % this.columns;
+    const goalRow = Math.floor(goal / this.columns);
+    // Octile distance: exact on an empty 8-connected grid.
+    const heuristic = (cell) => {
+      const dx = Math.abs((cell % this.columns) - goalColumn);
+      const dz = Math.abs(Math.floor(cell / this.columns) - goalRow);
+      return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+    };
+
+    const cells = this.search(start, (cell) => cell === goal, heuristic);
+    if (!cells) return null;
+
+    const points = this.getWaypoints(cells);
+    if (this.getCell(to) === goal) {
+      points[points.length - 1] = new Vector3(to.x, this.heights[goal], to.z);
+    }
+    return points;
+  }
+
+  // Like findPath(), but to the closest spot within `reach` of `bounds` (a
+  // Box3) rather than onto it, for walking up to something. Only cells the
+  // start connects to count, so the top of a sign or a fenced-off patch
+  // next to it is never picked as the goal.
+  findPathNear(from, bounds, reach) {
+    if (!this.built) this.build();
+
+    const start = this.findNearestWalkable(from);
+    if (start === -1) return null;
+
+    const { cellSize } = this.options;
+    const point = new Vector3();
+    const isGoal = (cell) =>
+      bounds.distanceToPoint(this.getCellCenter(cell, point)) <= reach;
+    // Horizontal distance to `bounds` less the reach, in cells: the path
+    // can't be any shorter than that.
+    const heuristic = (cell) => {
+      this.getCellCenter(cell, point);
+      const dx = Math.max(bounds.min.x - point.x, 0, point.x - bounds.max.x);
+      const dz = Math.max(bounds.min.z - point.z, 0, point.z - bounds.max.z);
+      return Math.max(Math.hypot(dx, dz) - reach, 0) / cellSize;
+    };
+
+    const cells = this.search(start, isGoal, heuristic);
+    return cells && this.getWaypoints(cells);
+  }
+
+  // A* from `start` to the first cell `isGoal` accepts. `heuristic` (in
+  // cells) must never overestimate. Returns the cells along the way, start
+  // and goal included, or null when no goal can be reached.
+  search(start, isGoal, heuristic) {
+    const cellCount = this.heights.length;
+    const cost = new Float32Array(cellCount).fill(Infinity);
+    const score = new Float32Array(cellCount).fill(Infinity);
+    const cameFrom = new Int32Array(cellCount).fill(-1);
+    const closed = new Uint8Array(cellCount);
+    const open = new CellHeap(score);
+    let goal = -1;
+
+    cost[start] = 0;
+    score[start] = heuristic(start);
+    open.push(start);
+
+    while (open.size > 0) {
+      const cell = open.pop();
+      if (closed[cell]) continue;
+      if (isGoal(cell)) {
+        goal = cell;
+        break;
+      }
+      closed[cell] = 1;
+
+      this.getNeighbours(cell).forEach(([next, stepCost]) => {
+        const nextCost = cost[cell] + stepCost;
+        if (nextCost < cost[next]) {
+          cost[next] = nextCost;
+          score[next] = nextCost + heuristic(next);
+          cameFrom[next] = cell;
+          open.push(next);
+        }
+      });
+    }
+
+    if (goal === -1) return null;
+
+    const cells = [goal];
+    while (cells[0] !== start) cells.unshift(cameFrom[cells[0]]);
+    return cells;
+  }
+
+  // World-space waypoints along `cells` (from search()), leaving out the
+  // start. String pulling: from each kept cell, jump to the furthest cell
+  // it can see.
+  getWaypoints(cells) {
+    const kept = [cells[0]];
+    let index = 0;
+    while (index < cells.length - 1) {
+      let next = cells.length - 1;
+      while (
+        next > index + 1 &&
+        !this.hasLineOfSight(cells[index], cells[next])
+      ) {
+        next--;
+      }
+      kept.push(cells[next]);
+      index = next;
+    }
+
+    const points = kept
+      .slice(1)
+      .map((cell) => this.getCellCenter(cell, new Vector3()));
+    if (points.length === 0) {
+      points.push(this.getCellCenter(cells[0], new Vector3()));
+    }
+    return points;
+  }
+}
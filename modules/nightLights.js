@@ -0,0 +1,117 @@
+// Night lights
+// Lamps, lanterns and glowing things that come alive when it gets dark.
+// They're picked up from the GLB by convention, so new ones can be added
+// in Blender without touching the code:
+// - nodes named `Light_*` get a warm PointLight (`Light_Spot_*` a SpotLight
+//   pointing down)
+// - nodes with a `nightLight` custom property (glTF extras, which
+//   GLTFLoader puts in userData) get a light configured by it, e.g.
+//   { "type": "point", "color": "#ffb35c", "intensity": 1.5, "distance": 14 }
+// - nodes with a `nightEmissive` custom property get their meshes' emissive
+//   ramped up, e.g. { "color": "#ffcc66", "intensity": 1.2 }
+// The same two settings can also be given per node name in the
+// `nightLights` section of content.json, for models that haven't been
+// re-exported with the custom properties yet.
+//
+// Everything starts switched off; setNightLightAmount() fades it in and
+// out with the lighting presets' `night` value.
+import { Color, MathUtils, PointLight, SpotLight, Vector3 } from "three";
+
+const DEFAULT_LIGHT = {
+  type: "point",
+  color: "#ffc477",
+  intensity: 1.2,
+  distance: 12,
+  offset: [0, 2, 0],
+};
+
+const DEFAULT_EMISSIVE = {
+  color: "#ffc477",
+  intensity: 1,
+};
+
+// Lights only start to show once the sun is mostly down.
+const FADE_START = 0.3;
+const FADE_END = 0.9;
+
+function createLight(options) {
+  const settings = { ...DEFAULT_LIGHT, ...options };
+  const light =
+    settings.type === "spot"
+      ? new SpotLight(settings.color, 0, settings.distance, Math.PI / 5, 0.5)
+      : new PointLight(settings.color, 0, settings.distance);
+
+  light.position.fromArray(settings.offset);
+  if (light.isSpotLight) {
+    // Shine straight down from wherever the lamp hangs.
+    light.target.position.copy(light.position).add(new Vector3(0, -1, 0));
+    light.add(light.target);
+  }
+  return { light, intensity: settings.intensity };
+}
+
+// Materials are often shared between meshes in the GLB, so each glowing
+// mesh gets its own copy before we touch its emissive.
+function collectEmissive(node, options) {
+  const settings = { ...DEFAULT_EMISSIVE, ...options };
+  const materials = [];
+
+  node.traverse((child) => {
+    if (!child.isMesh) return;
+    const cloneMaterial = (material) => {
+      const copy = material.clone();
+      copy.emissive = new Color(settings.color);
+      copy.emissiveIntensity = 0;
+      materials.push({ material: copy, intensity: settings.intensity });
+      return copy;
+    };
+    child.material = Array.isArray(child.material)
+      ? child.material.map(cloneMaterial)
+      : cloneMaterial(child.material);
+  });
+  return materials;
+}
+
+// Scans the loaded scene and returns the handles to fade. `overrides` is
+// the `nightLights` section of content.json (node name -> settings).
+export function createNightLights(root, overrides = {}) {
+  const lights = [];
+  const emissives = [];
+  const nodes = [];
+
+  root.traverse((node) => nodes.push(node));
+
+  nodes.forEach((node) => {
+    const config = { ...node.userData, ...overrides[node.name] };
+    const lightOptions = config.nightLight || config.light;
+    const emissiveOptions = config.nightEmissive || config.emissive;
+
+    if (lightOptions || node.name.startsWith("Light_")) {
+      const options = { ...lightOptions };
+      if (!options.type && node.name.startsWith("Light_Spot_")) {
+        options.type = "spot";
+      }
+      const handle = createLight(options);
+      node.add(handle.light);
+      lights.push(handle);
+    }
+
+    if (emissiveOptions) {
+      emissives.push(...collectEmissive(node, emissiveOptions));
+    }
+  });
+
+  return { lights, emissives };
+}
+
+// `night` is 0 (day) to 1 (full night), as in the lighting presets.
+export function setNightLightAmount(nightLights, night) {
+  const amount = MathUtils.smoothstep(night, FADE_START, FADE_END);
+
+  nightLights.lights.forEach(({ light, intensity }) => {
+    light.intensity = intensity * amount;
+  });
+  nightLights.emissives.forEach(({ material, intensity }) => {
+    material.emissiveIntensity = intensity * amount;
+  });
+}
@@ -0,0 +1,186 @@
+// Player controller
+// The hop movement, gravity, Capsule/Octree collisions and respawn logic
+// for the character, with no DOM, gsap or Howler in sight. It reads a
+// movement vector from its input (a MovementInput, see
+// modules/movementInput.js), steps deterministically for a given deltaTime
+// and reports what happened through events, so it can be driven from the
+// render loop or from a plain Node script (see
+// test/playerController.test.js, run with `npm test`).
+//
+// Events (three.js EventDispatcher, like OrbitControls' "change"):
+// - "hop":     a movement hop just started (play a sound, animate, ...)
+// - "respawn": the character fell below respawnHeight or respawn() ran
+import { EventDispatcher, MathUtils, Vector2, Vector3 } from "three";
+import { Capsule } from "three/addons/math/Capsule.js";
+
+// Tuning constants, in world units and physics seconds.
+export const PLAYER_DEFAULTS = {
+  gravity: 30, // gravitational acceleration applied when in air
+  capsuleRadius: 0.35, // collision capsule radius
+  capsuleHeight: 1, // collision capsule height
+  jumpHeight: 11, // initial upward velocity when hopping
+  moveSpeed: 7, // horizontal speed of a hop
+  respawnHeight: -20, // falling below this y sends you back to spawn
+  minAnalogSpeed: 0.35, // share of moveSpeed for a barely pushed stick
+};
+
+export class PlayerController extends EventDispatcher {
+  // `collider` is anything with capsuleIntersect(capsule), normally the
+  // park's Octree. `input` is anything with getVector(target), read (never
+  // written) on every step.
+  constructor({ collider, input, ...options }) {
+    super();
+
+    this.collider = collider;
+    this.input = input;
+    this.options = { ...PLAYER_DEFAULTS, ...options };
+    // Set to false to ignore input, e.g. while a modal is open.
+    this.enabled = true;
+
+    this.capsule = new Capsule(
+      new Vector3(0, this.options.capsuleRadius, 0),
+      new Vector3(0, this.options.capsuleHeight, 0),
+      this.options.capsuleRadius
+    );
+    this.velocity = new Vector3();
+    this.movement = new Vector2(); // the input's vector at the last step
+    this.onFloor = false; // true when the last collision normal pointed up
+    this.isMoving = false; // true from a hop's start until it lands
+
+    // Yaw in radians: the facing we ease toward, and the current one.
+    this.targetRotation = Math.PI / 2;
+    this.rotation = Math.PI / 2;
+
+    // Feet position at the previous and the latest step, for render
+    // interpolation (see getInterpolatedPosition).
+    this.spawnPosition = new Vector3();
+    this.previousPosition = new Vector3();
+    this.position = new Vector3();
+  }
+
+  // Moves the character (and its spawn point) to `position`.
+  setSpawn(position) {
+    this.spawnPosition.copy(position);
+    this.respawn();
+  }
+
+  respawn() {
+    this.teleport(this.spawnPosition);
+    this.dispatchEvent({ type: "respawn" });
+  }
+
+  // Puts the character's feet at `position`, standing still. The spawn
+  // point stays where it was.
+  teleport(position) {
+    this.placeCapsule(position);
+    // Snap rather than interpolate from wherever we were.
+    this.previousPosition.copy(position);
+    this.position.copy(position);
+
+    this.velocity.set(0, 0, 0);
+    this.isMoving = false;
+  }
+
+  placeCapsule(feetPosition) {
+    const { capsuleRadius, capsuleHeight } = this.options;
+    this.capsule.start.copy(feetPosition);
+    this.capsule.start.y += capsuleRadius;
+    this.capsule.end.copy(feetPosition);
+    this.capsule.end.y += capsuleHeight;
+  }
+
+  // capsuleIntersect returns info about penetration depth and normal. We
+  // resolve penetration by translating the capsule out of geometry along
+  // the collision normal. This keeps the player from sinking into the world.
+  collide() {
+    const result = this.collider.capsuleIntersect(this.capsule);
+    this.onFloor = false;
+
+    if (result) {
+      this.onFloor = result.normal.y > 0;
+      this.capsule.translate(result.normal.multiplyScalar(result.depth));
+
+      if (this.onFloor) {
+        this.isMoving = false;
+        this.velocity.x = 0;
+        this.velocity.z = 0;
+      }
+    }
+  }
+
+  // Advances the simulation by `deltaTime` physics seconds: integrate and
+  // collide, ease the facing, then let held buttons start the next hop.
+  step(deltaTime) {
+    const { gravity, capsuleRadius, respawnHeight } = this.options;
+
+    if (this.capsule.start.y - capsuleRadius < respawnHeight) {
+      this.respawn();
+      return;
+    }
+
+    // Math summary (integration):
+    // - Semi-explicit Euler: v += a * dt, then x += v * dt, with GRAVITY
+    //   as acceleration in world-units/sec^2 applied only when airborne.
+    if (!this.onFloor) {
+      this.velocity.y -= gravity * deltaTime;
+    }
+
+    this.capsule.translate(this.velocity.clone().multiplyScalar(deltaTime));
+    this.collide();
+
+    this.previousPosition.copy(this.position);
+    this.position.copy(this.capsule.start);
+    this.position.y -= capsuleRadius;
+
+    // Math summary (angle wrapping):
+    // - We need the minimal signed angular difference between
+    //   targetRotation and the current rotation (in radians). Angles wrap
+    //   every 2*PI, so a naive subtraction may produce values outside
+    //   [-PI, PI]. The expression below wraps the difference into (-PI, PI]
+    //   which represents the shortest rotation direction and magnitude.
+    const rotationDiff =
+      ((((this.targetRotation - this.rotation) % (2 * Math.PI)) +
+        3 * Math.PI) %
+        (2 * Math.PI)) -
+      Math.PI;
+    // Lerp factor 0.4 per 0.035 of physics time gives a soft, eased
+    // rotation; the exponent rescales it to any step size.
+    this.rotation = MathUtils.lerp(
+      this.rotation,
+      this.rotation + rotationDiff,
+      1 - Math.pow(1 - 0.4, deltaTime / 0.035)
+    );
+
+    this.handleMovementInput();
+  }
+
+  // Movement applies an impulse to the velocity and a short jump so the
+  // character visibly hops. `isMoving` blocks further impulses until the
+  // hop lands (see collide).
+  handleMovementInput() {
+    const { moveSpeed, jumpHeight, minAnalogSpeed } = this.options;
+
+    if (!this.enabled || this.isMoving) return;
+    const movement = this.input.getVector(this.movement);
+    const length = movement.length();
+    if (length === 0) return;
+
+    // The hop goes any direction at the same speed (a button or a full
+    // push is length 1), and a lighter push hops shorter. Screen up is +z
+    // and screen right is -x; the facing eases toward the same direction
+    // in step().
+    const speed = moveSpeed * MathUtils.lerp(minAnalogSpeed, 1, length);
+    this.velocity.x -= (movement.x / length) * speed;
+    this.velocity.z += (movement.y / length) * speed;
+    this.targetRotation = Math.atan2(-movement.x, movement.y);
+
+    this.velocity.y = jumpHeight;
+    this.isMoving = true;
+    this.dispatchEvent({ type: "hop" });
+  }
+
+  // Blends the last two steps; alpha 0 is the previous step, 1 the latest.
+  getInterpolatedPosition(alpha, target) {
+    return target.lerpVectors(this.previousPosition, this.position, alpha);
+  }
+}
@@ -0,0 +1,172 @@
+// Quality tiers
+// How much rendering work the park asks of the device. Each tier sets the
+// pixel ratio cap, antialiasing, the sun's shadow map (on/off, size and
+// filtering), which meshes cast shadows and the tone mapping. "ultra" is
+// what the park always used to render at.
+//
+// Antialiasing is fixed when the WebGL context is created, so a change only
+// takes effect on the next visit; everything else applies straight away.
+//
+// The performance governor watches frame times and steps the tier down
+// when the park can't keep up, and back up when there's headroom, with a
+// "change" event ({ level }) each time.
+import { EventDispatcher, Vector3 } from "three";
+
+export const QUALITY_LEVELS = ["low", "medium", "high", "ultra"];
+
+export const QUALITY_TIERS = {
+  low: {
+    pixelRatio: 1,
+    antialias: false,
+    shadows: false,
+    shadowMapSize: 512,
+    shadowType: "basic",
+    shadowCasters: "none",
+    toneMapping: "linear",
+  },
+  medium: {
+    pixelRatio: 1.25,
+    antialias: false,
+    shadows: true,
+    shadowMapSize: 1024,
+    shadowType: "pcf",
+    shadowCasters: "large",
+    toneMapping: "aces",
+  },
+  high: {
+    pixelRatio: 1.5,
+    antialias: true,
+    shadows: true,
+    shadowMapSize: 2048,
+    shadowType: "pcfsoft",
+    shadowCasters: "all",
+    toneMapping: "aces",
+  },
+  ultra: {
+    pixelRatio: 2,
+    antialias: true,
+    shadows: true,
+    shadowMapSize: 4096,
+    shadowType: "pcfsoft",
+    shadowCasters: "all",
+    toneMapping: "aces",
+  },
+};
+
+// With shadowCasters "large", only meshes at least this big (bounding
+// sphere radius, world units) cast shadows: buildings, trees, billboards.
+const LARGE_CASTER_RADIUS = 2;
+
+// A first guess before the governor has measured anything. Phones and
+// tablets start at medium, everything else at high; ultra is opt-in.
+export function getDefaultQuality() {
+  const isTouchDevice = window.matchMedia("(pointer: coarse)").matches;
+  const cores = navigator.hardwareConcurrency || 4;
+  if (cores <= 2) return "low";
+  return isTouchDevice ? "medium" : "high";
+}
+
+function getMeshRadius(mesh) {
+  if (mesh.userData.shadowRadius === undefined) {
+    if (!mesh.geometry.boundingSphere) mesh.geometry.computeBoundingSphere();
+    const scale = mesh.getWorldScale(new Vector3());
+    mesh.userData.shadowRadius =
+      mesh.geometry.boundingSphere.radius *
+      Math.max(scale.x, scale.y, scale.z);
+  }
+  return mesh.userData.shadowRadius;
+}
+
+// Sets castShadow/receiveShadow on every mesh under `root` for `tier`.
+export function applyShadowCasters(root, tier) {
+  root.traverse((child) => {
+    if (!child.isMesh) return;
+    if (tier.shadowCasters === "all") {
+      child.castShadow = true;
+    } else if (tier.shadowCasters === "large") {
+      child.castShadow = getMeshRadius(child) >= LARGE_CASTER_RADIUS;
+    } else {
+      child.castShadow = false;
+    }
+    child.receiveShadow = tier.shadows;
+  });
+}
+
+export const GOVERNOR_DEFAULTS = {
+  slowFrameTime: 1 / 45, // averaging slower than this is too slow
+  fastFrameTime: 1 / 55, // averaging faster than this has headroom
+  averageWindow: 1, // seconds of frames in the moving average
+  stepDownAfter: 2, // seconds of slow frames before stepping down
+  stepUpAfter: 15, // seconds of fast frames before stepping up
+  settleTime: 3, // seconds to ignore after a change (shader compiles)
+  maxAutoLevel: "high", // the governor never picks ultra on its own
+};
+
+// Frames longer than this are hitches (tab switch, asset streaming), not a
+// sign of a slow device.
+const MAX_SAMPLE = 0.25;
+
+export class PerformanceGovernor extends EventDispatcher {
+  constructor(level, options = {}) {
+    super();
+    this.options = { ...GOVERNOR_DEFAULTS, ...options };
+    this.enabled = true;
+    this.level = level;
+    // Once a tier has proven too slow, don't climb back to it.
+    this.ceiling = Math.max(
+      QUALITY_LEVELS.indexOf(level),
+      QUALITY_LEVELS.indexOf(this.options.maxAutoLevel)
+    );
+    this.reset();
+  }
+
+  reset() {
+    this.averageFrameTime = 0;
+    this.slowTime = 0;
+    this.fastTime = 0;
+    this.settleTime = this.options.settleTime;
+  }
+
+  // Call every frame with the real (unclamped) frame time in seconds.
+  update(deltaTime) {
+    if (!this.enabled || deltaTime <= 0 || deltaTime > MAX_SAMPLE) return;
+
+    if (this.settleTime > 0) {
+      this.settleTime -= deltaTime;
+      this.averageFrameTime = deltaTime;
+      return;
+    }
+
+    const { averageWindow, slowFrameTime, fastFrameTime } = this.options;
+    const weight = Math.min(deltaTime / averageWindow, 1);
+    this.averageFrameTime += (deltaTime - this.averageFrameTime) * weight;
+
+    if (this.averageFrameTime > slowFrameTime) {
+      this.slowTime += deltaTime;
+      this.fastTime = 0;
+    } else if (this.averageFrameTime < fastFrameTime) {
+      this.fastTime += deltaTime;
+      this.slowTime = 0;
+    } else {
+      this.slowTime = 0;
+      this.fastTime = 0;
+    }
+
+    const index = QUALITY_LEVELS.indexOf(this.level);
+    if (this.slowTime >= this.options.stepDownAfter && index > 0) {
+      this.ceiling = index - 1;
+      this.setLevel(QUALITY_LEVELS[index - 1]);
+    } else if (
+      this.fastTime >= this.options.stepUpAfter &&
+      index < this.ceiling
+    ) {
+      this.setLevel(QUALITY_LEVELS[index + 1]);
+    }
+  }
+
+  setLevel(level) {
+    this.level = level;
+    this.reset();
+    this.dispatchEvent({ type: "change", level });
+  }
+}
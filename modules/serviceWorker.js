@@ -0,0 +1,47 @@
+// Service worker registration
+// Registers sw.js, which caches the park for offline play, and reports
+// when a changed sw.js has been installed and is waiting to take over.
+// `onUpdateReady` gets an `applyUpdate` function; calling it activates the
+// new worker and reloads the page onto it.
+let registered = false;
+
+export function registerServiceWorker(onUpdateReady) {
+  if (registered || !("serviceWorker" in navigator)) return;
+  registered = true;
+
+  let updateRequested = false;
+  const offerUpdate = (worker) =>
+    onUpdateReady(() => {
+      updateRequested = true;
+      worker.postMessage("skipWaiting");
+    });
+
+  // The first install also changes the controller (sw.js claims the page),
+  // so only reload when it's an update the visitor asked for.
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (updateRequested) window.location.reload();
+  });
+
+  navigator.serviceWorker
+    .register("./sw.js")
+    .then((registration) => {
+      // Without a controller this is the first install, not an update.
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        offerUpdate(registration.waiting);
+      }
+      registration.addEventListener("updatefound", () => {
+        const worker = registration.installing;
+        worker.addEventListener("statechange", () => {
+          if (
+            worker.state === "installed" &&
+            navigator.serviceWorker.controller
+          ) {
+            offerUpdate(worker);
+          }
+        });
+      });
+    })
+    .catch((error) => {
+      console.warn("[offline] service worker registration failed", error);
+    });
+}
@@ -0,0 +1,31 @@
+// Saved preferences
+// Thin wrapper around localStorage for visitor settings. Values are stored
+// as JSON under a shared prefix. Storage can be unavailable (private
+// browsing, blocked cookies), in which case we quietly fall back to the
+// default and forget the setting on reload.
+const STORAGE_PREFIX = "thakurs-park:";
+
+export function loadSetting(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+export function saveSetting(key, value) {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+  } catch (error) {
+    // Nothing to do; the setting just won't survive a reload.
+  }
+}
+
+export function clearSetting(key) {
+  try {
+    window.localStorage.removeItem(STORAGE_PREFIX + key);
+  } catch (error) {
+    // See saveSetting.
+  }
+}
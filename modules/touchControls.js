@@ -0,0 +1,170 @@
+// Touch controls
+// The on-screen control layer for phones and tablets, built on pointer
+// events so every finger is tracked on its own:
+// - "joystick" layout: put a thumb down anywhere on the left half of the
+//   park and a joystick appears under it; dragging writes a MovementInput
+//   stick (further from the center hops further). If the thumb drags past
+//   the rim, the joystick follows it.
+// - "arrows" layout: the four arrow buttons, which can be held together
+//   for diagonals.
+// - the interact button, in both layouts.
+// Mouse pointers never start the joystick, so desktop clicks behave as
+// before. On devices with a fine pointer (mouse, trackpad) the CSS hides
+// the whole layer and the joystick stays off, even for a touchscreen.
+//
+// Events (three.js EventDispatcher, like the gamepad input):
+// - "interact": the interact button was pressed
+import { EventDispatcher } from "three";
+
+export const TOUCH_LAYOUTS = ["joystick", "arrows"];
+
+const JOYSTICK_RADIUS = 48; // px from the center to the rim
+const JOYSTICK_DEADZONE = 0.15; // share of the radius that doesn't move
+// Keep in sync with the media query that hides .touch-controls.
+const FINE_POINTER_QUERY = "(hover: hover) and (pointer: fine)";
+
+export class TouchControls extends EventDispatcher {
+  // `container` holds the joystick, arrow and interact elements, `surface`
+  // is where the joystick can start (the canvas). `stick` and `buttons`
+  // are this layer's MovementInput sources.
+  constructor({ container, surface, stick, buttons }) {
+    super();
+
+    this.container = container;
+    this.surface = surface;
+    this.stick = stick;
+    this.buttons = buttons;
+    // Set to false to leave the surface alone, e.g. while it orbits the
+    // camera.
+    this.joystickEnabled = true;
+    this.layout = "joystick";
+
+    this.joystick = container.querySelector(".touch-joystick");
+    this.knob = container.querySelector(".touch-joystick-knob");
+    this.interactButton = container.querySelector(".touch-interact-button");
+    this.joystickPointer = null; // pointerId of the thumb on the joystick
+    this.joystickOrigin = { x: 0, y: 0 };
+    this.arrowPointers = new Map(); // pointerId -> direction
+    this.finePointer = window.matchMedia(FINE_POINTER_QUERY);
+
+    surface.addEventListener("pointerdown", (event) =>
+      this.onSurfaceDown(event)
+    );
+    window.addEventListener("pointermove", (event) => this.onMove(event));
+    window.addEventListener("pointerup", (event) => this.onUp(event));
+    window.addEventListener("pointercancel", (event) => this.onUp(event));
+
+    container.querySelectorAll("[data-direction]").forEach((element) => {
+      element.addEventListener("pointerdown", (event) => {
+        event.preventDefault();
+        this.arrowPointers.set(event.pointerId, element.dataset.direction);
+        this.updateArrows();
+      });
+      // A mouse dragged off the button lets go, as it always did.
+      element.addEventListener("pointerleave", (event) => this.onUp(event));
+    });
+
+    this.interactButton.addEventListener("pointerdown", (event) => {
+      event.preventDefault();
+      this.dispatchEvent({ type: "interact" });
+    });
+  }
+
+  setLayout(layout) {
+    this.layout = TOUCH_LAYOUTS.includes(layout) ? layout : "joystick";
+    this.container.dataset.layout = this.layout;
+    this.release();
+  }
+
+  // Dims the interact button when there's nothing in reach.
+  setInteractAvailable(available) {
+    this.interactButton.classList.toggle("is-available", available);
+  }
+
+  onSurfaceDown(event) {
+    if (
+      this.layout !== "joystick" ||
+      !this.joystickEnabled ||
+      this.finePointer.matches ||
+      event.pointerType === "mouse" ||
+      this.joystickPointer !== null ||
+      event.clientX > window.innerWidth / 2
+    ) {
+      return;
+    }
+
+    this.joystickPointer = event.pointerId;
+    this.joystickOrigin.x = event.clientX;
+    this.joystickOrigin.y = event.clientY;
+    this.joystick.style.left = `${event.clientX}px`;
+    this.joystick.style.top = `${event.clientY}px`;
+    this.joystick.classList.remove("hidden");
+    this.moveKnob(0, 0);
+  }
+
+  onMove(event) {
+    if (event.pointerId !== this.joystickPointer) return;
+
+    let dx = event.clientX - this.joystickOrigin.x;
+    let dy = event.clientY - this.joystickOrigin.y;
+    let distance = Math.hypot(dx, dy);
+    if (distance > JOYSTICK_RADIUS) {
+      // Drag the joystick along so pulling back responds straight away.
+      const excess = distance - JOYSTICK_RADIUS;
+      this.joystickOrigin.x += (dx / distance) * excess;
+      this.joystickOrigin.y += (dy / distance) * excess;
+      dx = (dx / distance) * JOYSTICK_RADIUS;
+      dy = (dy / distance) * JOYSTICK_RADIUS;
+      distance = JOYSTICK_RADIUS;
+      this.joystick.style.left = `${this.joystickOrigin.x}px`;
+      this.joystick.style.top = `${this.joystickOrigin.y}px`;
+    }
+    this.moveKnob(dx, dy);
+
+    // Same deadzone rescale as the gamepad stick; screen y points down.
+    const push = distance / JOYSTICK_RADIUS;
+    if (push <= JOYSTICK_DEADZONE) {
+      this.stick.x = 0;
+      this.stick.y = 0;
+    } else {
+      const magnitude = (push - JOYSTICK_DEADZONE) / (1 - JOYSTICK_DEADZONE);
+      this.stick.x = (dx / distance) * magnitude;
+      this.stick.y = (-dy / distance) * magnitude;
+    }
+  }
+
+  onUp(event) {
+    if (event.pointerId === this.joystickPointer) {
+      this.releaseJoystick();
+    }
+    if (this.arrowPointers.delete(event.pointerId)) {
+      this.updateArrows();
+    }
+  }
+
+  moveKnob(dx, dy) {
+    this.knob.style.transform = `translate(${dx}px, ${dy}px)`;
+  }
+
+  // Holds every direction that has at least one finger on it.
+  updateArrows() {
+    const held = new Set(this.arrowPointers.values());
+    Object.keys(this.buttons).forEach((direction) => {
+      this.buttons[direction] = held.has(direction);
+    });
+  }
+
+  releaseJoystick() {
+    this.joystickPointer = null;
+    this.joystick.classList.add("hidden");
+    this.stick.x = 0;
+    this.stick.y = 0;
+  }
+
+  // Lets go of everything, e.g. when the window loses focus.
+  release() {
+    this.releaseJoystick();
+    this.arrowPointers.clear();
+    this.updateArrows();
+  }
+}
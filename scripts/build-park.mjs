@@ -0,0 +1,80 @@
+// Builds the park GLBs the page loads from the Blender export in models/.
+// Run it after re-exporting models/Portfolio.glb:
+//   node scripts/build-park.mjs
+// It writes two files, both with meshopt-compressed geometry (see
+// modules/gltfDecoders.js):
+// - Portfolio.glb, the base model: everything in the export, except that
+//   the Level scenery is swapped for Level_Low, a simplified copy of it.
+// - park-level.glb, the full-detail Level, streamed in as a chunk that
+//   replaces Level_Low (see `park` in content.json).
+// Needs the devDependencies (npm install).
+import { fileURLToPath } from "node:url";
+import { NodeIO } from "@gltf-transform/core";
+import { ALL_EXTENSIONS } from "@gltf-transform/extensions";
+import {
+  meshopt,
+  prune,
+  simplifyPrimitive,
+  weldPrimitive,
+} from "@gltf-transform/functions";
+import { MeshoptEncoder, MeshoptSimplifier } from "meshoptimizer";
+
+const root = fileURLToPath(new URL("../", import.meta.url));
+const source = `${root}models/Portfolio.glb`;
+const DETAIL_NODE = "Level";
+const LOW_DETAIL_NODE = "Level_Low";
+// Share of the triangles Level_Low keeps, and how far (relative to each
+// part's size) simplifying may move its surface.
+const LOW_DETAIL_RATIO = 0.1;
+const LOW_DETAIL_ERROR = 0.02;
+
+await MeshoptEncoder.ready;
+await MeshoptSimplifier.ready;
+const io = new NodeIO()
+  .registerExtensions(ALL_EXTENSIONS)
+  .registerDependencies({ "meshopt.encoder": MeshoptEncoder });
+
+function getDetailNode(document) {
+  const node = document
+    .getRoot()
+    .listNodes()
+    .find((candidate) => candidate.getName() === DETAIL_NODE);
+  if (!node) throw new Error(`${source} has no "${DETAIL_NODE}"`);
+  return node;
+}
+
+async function write(document, name) {
+  await document.transform(
+    prune(),
+    meshopt({ encoder: MeshoptEncoder, level: "medium" })
+  );
+  await io.write(`${root}${name}`, document);
+  console.log(`wrote ${name}`);
+}
+
+// Base model: the detail node is simplified in place and renamed.
+const base = await io.read(source);
+const lowDetail = getDetailNode(base).setName(LOW_DETAIL_NODE);
+lowDetail
+  .getMesh()
+  .setName(LOW_DETAIL_NODE)
+  .listPrimitives()
+  .forEach((primitive) => {
+    weldPrimitive(primitive);
+    simplifyPrimitive(primitive, {
+      simplifier: MeshoptSimplifier,
+      ratio: LOW_DETAIL_RATIO,
+      error: LOW_DETAIL_ERROR,
+    });
+  });
+await write(base, "Portfolio.glb");
+
+// Detail chunk: only the detail node, as exported.
+const chunk = await io.read(source);
+const detail = getDetailNode(chunk);
+chunk
+  .getRoot()
+  .listNodes()
+  .filter((node) => node !== detail)
+  .forEach((node) => node.dispose());
+await write(chunk, "park-level.glb");
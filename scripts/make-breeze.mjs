@@ -0,0 +1,92 @@
+// Synthesizes sfx/breeze.wav, the wind-in-the-leaves loop of the picnic's
+// ambient zone (see `ambient` in content.json):
+//   node scripts/make-breeze.mjs
+// It's band-passed noise swelling in slow gusts. The noise is filtered
+// through the loop twice and only the second pass is kept, so the filters
+// carry on across the seam, and the gusts repeat a whole number of times
+// per loop; the end flows straight back into the start. The random numbers
+// are seeded, so every run writes the same file.
+import { writeFileSync } from "node:fs";
+
+const SAMPLE_RATE = 16000; // rustling has little above 5 kHz
+const DURATION = 8; // seconds
+const LOW_CUT = 250; // Hz
+const HIGH_CUT = 2200; // Hz
+const PEAK = 0.3; // of full scale; the zone's volume does the rest
+// Gusts as [swells per loop, weight]; whole numbers keep the loop seamless.
+const GUSTS = [
+  [1, 0.5],
+  [3, 0.3],
+  [7, 0.2],
+];
+
+// Mulberry32: small, seedable and good enough for noise.
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Smoothing factor of a one-pole low-pass at `frequency`.
+function getOnePole(frequency) {
+  return 1 - Math.exp((-2 * Math.PI * frequency) / SAMPLE_RATE);
+}
+
+const length = SAMPLE_RATE * DURATION;
+const random = createRandom(0x5eed);
+const noise = Float32Array.from({ length }, () => random() * 2 - 1);
+
+const low = getOnePole(LOW_CUT);
+const high = getOnePole(HIGH_CUT);
+const samples = new Float32Array(length);
+let lowState = 0;
+let highState = 0;
+for (let pass = 0; pass < 2; pass++) {
+  for (let i = 0; i < length; i++) {
+    highState += high * (noise[i] - highState);
+    lowState += low * (highState - lowState);
+    samples[i] = highState - lowState;
+  }
+}
+
+for (let i = 0; i < length; i++) {
+  const phase = i / length;
+  const gust = GUSTS.reduce(
+    (sum, [swells, weight]) =>
+      sum + weight * (0.5 - 0.5 * Math.cos(2 * Math.PI * swells * phase)),
+    0
+  );
+  samples[i] *= 0.3 + 0.7 * gust;
+}
+
+const loudest = samples.reduce(
+  (max, sample) => Math.max(max, Math.abs(sample)),
+  0
+);
+const scale = (PEAK * 32767) / loudest;
+
+// 16-bit mono PCM WAV.
+const wav = Buffer.alloc(44 + length * 2);
+wav.write("RIFF", 0);
+wav.writeUInt32LE(36 + length * 2, 4);
+wav.write("WAVE", 8);
+wav.write("fmt ", 12);
+wav.writeUInt32LE(16, 16);
+wav.writeUInt16LE(1, 20); // PCM
+wav.writeUInt16LE(1, 22); // mono
+wav.writeUInt32LE(SAMPLE_RATE, 24);
+wav.writeUInt32LE(SAMPLE_RATE * 2, 28);
+wav.writeUInt16LE(2, 32);
+wav.writeUInt16LE(16, 34);
+wav.write("data", 36);
+wav.writeUInt32LE(length * 2, 40);
+samples.forEach((sample, i) =>
+  wav.writeInt16LE(Math.round(sample * scale), 44 + i * 2)
+);
+
+writeFileSync(new URL("../sfx/breeze.wav", import.meta.url), wav);
+console.log("wrote sfx/breeze.wav");
@@ -0,0 +1,60 @@
+// Pre-renders the project list and its JSON-LD from content.json into
+// index.html, so crawlers, link previews and visitors without JavaScript
+// see the projects too (see modules/fallbackPage.js). Run it after editing
+// content.json:
+//   node scripts/prerender.mjs
+// Only what's between the "prerender:" marker comments is replaced.
+import { readFileSync, writeFileSync } from "node:fs";
+import {
+  getStructuredData,
+  renderProjectsHtml,
+} from "../modules/fallbackPage.js";
+
+const root = new URL("../", import.meta.url);
+const indexUrl = new URL("index.html", root);
+const manifest = JSON.parse(
+  readFileSync(new URL("content.json", root), "utf8")
+);
+let html = readFileSync(indexUrl, "utf8");
+const newline = html.includes("\r\n") ? "\r\n" : "\n";
+
+// Swaps the lines between <!-- prerender:name --> and its closing marker
+// for `content`, indented like the opening marker.
+function replaceBetweenMarkers(name, content) {
+  const pattern = new RegExp(
+    `([ \\t]*)<!-- prerender:${name} -->[\\s\\S]*?<!-- /prerender:${name} -->`
+  );
+  const match = html.match(pattern);
+  if (!match) {
+    throw new Error(`index.html has no "prerender:${name}" markers`);
+  }
+
+  const indent = match[1];
+  const lines = content
+    .split("\n")
+    .map((line) => (line ? `${indent}${line}` : line));
+  // A function, so "$" in the content isn't read as a replacement pattern.
+  html = html.replace(pattern, () =>
+    [
+      `${indent}<!-- prerender:${name} -->`,
+      ...lines,
+      `${indent}<!-- /prerender:${name} -->`,
+    ].join(newline)
+  );
+}
+
+// "<" is escaped so nothing in the data can close the script tag early.
+const structuredData = JSON.stringify(
+  getStructuredData(manifest),
+  null,
+  2
+).replace(/</g, "\\u003c");
+
+replaceBetweenMarkers(
+  "structured-data",
+  `<script type="application/ld+json">\n${structuredData}\n</script>`
+);
+replaceBetweenMarkers("projects", renderProjectsHtml(manifest));
+
+writeFileSync(indexUrl, html);
+console.log("index.html: project list and structured data updated");
@@ -0,0 +1,179 @@
+// Service worker
+// Turns the park into an offline-capable PWA. On install, everything the
+// park needs is cached: the page and its modules, content.json, the GLBs,
+// the sounds, the icons and the Draco and Basis decoders, plus (best
+// effort, so a CDN hiccup doesn't fail the install) the pinned three.js,
+// Howler and gsap builds from their CDNs.
+//
+// Our own files are fetched network-first and the cached copy is only
+// used offline, so a deploy shows up on the next load without a cache
+// version to bump. The server's validators keep that cheap: an unchanged
+// GLB comes back as a 304 from the HTTP cache, not another download. CDN
+// files are pinned to a version and never change, so they're served
+// cache-first. Anything else the park fetches (fonts, gallery media) is
+// cached the first time it comes in.
+//
+// When sw.js itself changes, the new worker waits; the page offers a
+// reload (see modules/serviceWorker.js) and posts "skipWaiting" when the
+// visitor takes it.
+const CACHE_PREFIX = "thakurs-park-";
+const CACHE = `${CACHE_PREFIX}offline`;
+
+// Must match the importmap in index.html exactly.
+const THREE_URL = "https://cdn.jsdelivr.net/npm/three@v0.149.0/";
+// The addons the page imports, plus everything they import in turn.
+const THREE_ADDONS = [
+  "capabilities/WebGL.js",
+  "controls/OrbitControls.js",
+  "libs/ktx-parse.module.js",
+  "libs/meshopt_decoder.module.js",
+  "libs/zstddec.module.js",
+  "loaders/DRACOLoader.js",
+  "loaders/GLTFLoader.js",
+  "loaders/KTX2Loader.js",
+  "math/Capsule.js",
+  "math/Octree.js",
+  "utils/BufferGeometryUtils.js",
+  "utils/WorkerPool.js",
+];
+
+const PRECACHE_URLS = [
+  "./",
+  "./style.css",
+  "./bootstrap.js",
+  "./main.js",
+  "./content.json",
+  "./Portfolio.glb",
+  "./park-level.glb",
+  "./modules/achievements.js",
+  "./modules/audioManager.js",
+  "./modules/cameraRig.js",
+  "./modules/contentRegistry.js",
+  "./modules/fallbackPage.js",
+  "./modules/gamepadInput.js",
+  "./modules/gltfDecoders.js",
+  "./modules/guidedTour.js",
+  "./modules/lighting.js",
+  "./modules/markdown.js",
+  "./modules/movementInput.js",
+  "./modules/musicDirector.js",
+  "./modules/navGrid.js",
+  "./modules/nightLights.js",
+  "./modules/playerController.js",
+  "./modules/quality.js",
+  "./modules/serviceWorker.js",
+  "./modules/storage.js",
+  "./modules/touchControls.js",
+  "./sfx/music.ogg",
+  "./sfx/projects.ogg",
+  "./sfx/pokemon.ogg",
+  "./sfx/jumpsfx.ogg",
+  "./sfx/breeze.wav",
+  "./media/site.webmanifest",
+  "./media/favicon.svg",
+  "./media/favicon.ico",
+  "./media/favicon-96x96.png",
+  "./media/apple-touch-icon.png",
+  "./media/web-app-manifest-192x192.png",
+  "./media/web-app-manifest-512x512.png",
+  "./decoders/draco/draco_decoder.js",
+  "./decoders/draco/draco_decoder.wasm",
+  "./decoders/draco/draco_wasm_wrapper.js",
+  "./decoders/basis/basis_transcoder.js",
+  "./decoders/basis/basis_transcoder.wasm",
+];
+
+const CDN_URLS = [
+  `${THREE_URL}build/three.module.js`,
+  ...THREE_ADDONS.map((path) => `${THREE_URL}examples/jsm/${path}`),
+  "https://unpkg.com/es-module-shims@1.0.1/dist/es-module-shims.js",
+  "https://cdnjs.cloudflare.com/ajax/libs/howler/2.2.4/howler.min.js",
+  "https://cdn.jsdelivr.net/npm/gsap@3.12.5/dist/gsap.min.js",
+];
+
+// Opaque and error responses aren't worth keeping.
+function store(key, response) {
+  if (response.ok) {
+    const copy = response.clone();
+    caches.open(CACHE).then((cache) => cache.put(key, copy));
+  }
+  return response;
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE).then((cache) =>
+      Promise.all([
+        // "no-cache" revalidates with the server, so this never stores a
+        // stale copy from the HTTP cache.
+        cache.addAll(
+          PRECACHE_URLS.map((url) => new Request(url, { cache: "no-cache" }))
+        ),
+        // Whatever's missing here is cached the first time the page asks
+        // for it instead.
+        ...CDN_URLS.map((url) =>
+          cache
+            .match(url)
+            .then((cached) => cached || cache.add(url))
+            .catch(() => {})
+        ),
+      ])
+    )
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  // Earlier versions kept versioned caches; only CACHE is used now.
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data === "skipWaiting") self.skipWaiting();
+});
+
+// `key` is what the response is stored under, e.g. "./" for every page.
+function networkFirst(request, key = request) {
+  return fetch(request)
+    .then((response) => store(key, response))
+    .catch((error) =>
+      caches.match(key).then((cached) => {
+        if (!cached) throw error;
+        return cached;
+      })
+    );
+}
+
+function cacheFirst(request) {
+  return caches.match(request).then(
+    (cached) =>
+      cached || fetch(request).then((response) => store(request, response))
+  );
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  // Leave writes and partial (range) requests, e.g. streamed media, to
+  // the network.
+  if (request.method !== "GET" || request.headers.has("range")) return;
+
+  if (request.mode === "navigate") {
+    // Every page is the park; deep links only differ in the hash, which
+    // isn't part of the request.
+    event.respondWith(networkFirst(request, "./"));
+    return;
+  }
+
+  const sameOrigin = new URL(request.url).origin === self.location.origin;
+  event.respondWith(sameOrigin ? networkFirst(request) : cacheFirst(request));
+});
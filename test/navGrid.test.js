@@ -0,0 +1,192 @@
+// NavGrid against a box-geometry Octree and against the park's own
+// Ground_Collider from Portfolio.glb, with a PlayerController hopping along
+// the paths it finds.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { Box3, BoxGeometry, Mesh, Vector3 } from "three";
+import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
+import { MeshoptDecoder } from "three/addons/libs/meshopt_decoder.module.js";
+import { Octree } from "three/addons/math/Octree.js";
+import { NavGrid } from "../modules/navGrid.js";
+import { PlayerController } from "../modules/playerController.js";
+import { MovementInput } from "../modules/movementInput.js";
+
+// Like main.js.
+const REACH = 6; // INTERACTION_RADIUS
+const ARRIVE_DISTANCE = 1;
+const STEP = (1 / 120) * 2.1; // PHYSICS_STEP * SIMULATION_SPEED
+
+// Boxes are [width, height, depth] centered on [x, y, z].
+function createCollider(boxes) {
+  const octree = new Octree();
+  boxes.forEach(({ size, center }) => {
+    const mesh = new Mesh(new BoxGeometry(...size));
+    mesh.position.set(...center);
+    mesh.updateMatrixWorld();
+    octree.fromGraphNode(mesh);
+  });
+  return octree;
+}
+
+// A park GLB without its materials: GLTFLoader needs a DOM to decode
+// textures, and the collider and node positions don't.
+async function loadPark(name = "Portfolio.glb") {
+  const glb = readFileSync(new URL(`../${name}`, import.meta.url));
+  const jsonLength = glb.readUInt32LE(12);
+  const json = JSON.parse(glb.toString("utf8", 20, 20 + jsonLength));
+  ["materials", "textures", "images", "samplers"].forEach(
+    (key) => delete json[key]
+  );
+  json.meshes.forEach(({ primitives }) =>
+    primitives.forEach((primitive) => delete primitive.material)
+  );
+
+  // Chunks are 4-byte aligned; JSON pads with spaces.
+  const text = JSON.stringify(json);
+  const jsonChunk = Buffer.from(text.padEnd(Math.ceil(text.length / 4) * 4));
+  const rest = glb.subarray(20 + jsonLength);
+  const header = Buffer.alloc(20);
+  header.writeUInt32LE(0x46546c67, 0); // "glTF"
+  header.writeUInt32LE(2, 4);
+  header.writeUInt32LE(20 + jsonChunk.length + rest.length, 8);
+  header.writeUInt32LE(jsonChunk.length, 12);
+  header.writeUInt32LE(0x4e4f534a, 16); // "JSON"
+  const file = Buffer.concat([header, jsonChunk, rest]);
+
+  const gltf = await new GLTFLoader()
+    .setMeshoptDecoder(MeshoptDecoder)
+    .parseAsync(
+      file.buffer.slice(file.byteOffset, file.byteOffset + file.length),
+      ""
+    );
+  gltf.scene.updateMatrixWorld(true);
+  return gltf.scene;
+}
+
+// Built the way main.js's getNavGrid() does it.
+function createParkGrid(park) {
+  const ground = park.getObjectByName("Ground_Collider");
+  const collider = new Octree();
+  collider.fromGraphNode(ground);
+  return new NavGrid(collider, new Box3().setFromObject(ground)).build();
+}
+
+// Hops the player along `waypoints` by steering a stick, the way main.js's
+// updateRoute() does. Returns false if it runs out of time on the way.
+function walkAlong(player, stick, waypoints) {
+  const { jumpHeight, gravity, moveSpeed, minAnalogSpeed } = player.options;
+  const hopLength = ((2 * jumpHeight) / gravity) * moveSpeed;
+  const offset = new Vector3();
+
+  for (const waypoint of waypoints) {
+    for (let time = 0; ; time += STEP) {
+      if (time > 30) return false;
+      offset.subVectors(waypoint, player.position).setY(0);
+      const distance = offset.length();
+      if (distance <= ARRIVE_DISTANCE) break;
+
+      const share = Math.min(distance / hopLength, 1);
+      const push = Math.max(
+        (share - minAnalogSpeed) / (1 - minAnalogSpeed),
+        0.01
+      );
+      stick.x = (-offset.x / distance) * push;
+      stick.y = (offset.z / distance) * push;
+      player.step(STEP);
+    }
+  }
+  stick.x = 0;
+  stick.y = 0;
+  // Let the last hop land.
+  for (let time = 0; time < 2; time += STEP) player.step(STEP);
+  return true;
+}
+
+test("findPathNear() stops beside a tall box instead of on top of it", () => {
+  const FLOOR = { size: [30, 1, 30], center: [0, -0.5, 0] };
+  const SIGN = { size: [6, 6, 1], center: [0, 3, 8] };
+  const grid = new NavGrid(
+    createCollider([FLOOR, SIGN]),
+    new Box3(new Vector3(-15, -1, -15), new Vector3(15, 6, 15))
+  ).build();
+  const sign = new Box3(new Vector3(-3, 0, 7.5), new Vector3(3, 6, 8.5));
+
+  // The top of the sign is floor too, but nothing hops up there.
+  const start = new Vector3(0, 0, -10);
+  assert.equal(grid.findPath(start, sign.getCenter(new Vector3())), null);
+
+  const path = grid.findPathNear(start, sign, 2);
+  assert.ok(path, "should find a way up to the sign");
+  const end = path[path.length - 1];
+  assert.ok(Math.abs(end.y) < 0.05, `ended at height ${end.y}`);
+  assert.ok(sign.distanceToPoint(end) <= 2);
+});
+
+test("findPathNear() returns null when nothing in reach connects", () => {
+  const FLOOR = { size: [30, 1, 30], center: [0, -0.5, 0] };
+  // A wall across the whole floor, too tall to hop and thick enough for
+  // the grid to see.
+  const WALL = { size: [30, 6, 3], center: [0, 3, 0] };
+  const grid = new NavGrid(
+    createCollider([FLOOR, WALL]),
+    new Box3(new Vector3(-15, -1, -15), new Vector3(15, 6, 15))
+  ).build();
+  const target = new Box3(new Vector3(-1, 0, 9), new Vector3(1, 2, 11));
+
+  assert.equal(grid.findPathNear(new Vector3(0, 0, -10), target, 2), null);
+});
+
+test("every project can be walked to from the spawn point", async () => {
+  const park = await loadPark();
+  const grid = createParkGrid(park);
+  const spawn = park.getObjectByName("Character").position;
+
+  ["Project_1", "Project_2", "Project_3"].forEach((name) => {
+    const bounds = new Box3().setFromObject(park.getObjectByName(name));
+    const path = grid.findPathNear(spawn, bounds, REACH);
+    assert.ok(path, `no path to ${name}`);
+
+    const end = path[path.length - 1];
+    assert.ok(bounds.distanceToPoint(end) <= REACH, `${name} out of reach`);
+    assert.ok(
+      end.y < bounds.min.y + grid.options.maxStep,
+      `${name}'s path ends up at height ${end.y}`
+    );
+  });
+});
+
+test("the guided tour can hop to every stop in turn", async () => {
+  const park = await loadPark();
+  const grid = createParkGrid(park);
+  const content = JSON.parse(
+    readFileSync(new URL("../content.json", import.meta.url), "utf8")
+  );
+  const input = new MovementInput();
+  const stick = input.addStick("route");
+  const player = new PlayerController({ collider: grid.collider, input });
+  player.setSpawn(park.getObjectByName("Character").position);
+  let respawns = 0;
+  player.addEventListener("respawn", () => respawns++);
+
+  content.tour.forEach(({ entry }) => {
+    const bounds = new Box3().setFromObject(park.getObjectByName(entry));
+    const reach = content.entries[entry].radius || REACH;
+    // The same goal approach() in main.js asks for.
+    const path = grid.findPathNear(
+      player.position,
+      bounds,
+      reach - ARRIVE_DISTANCE
+    );
+    assert.ok(path, `no path to ${entry}`);
+    assert.ok(
+      walkAlong(player, stick, path),
+      `got stuck on the way to ${entry}`
+    );
+    assert.equal(respawns, 0, `fell off on the way to ${entry}`);
+    assert.ok(
+      bounds.distanceToPoint(player.position) <= reach,
+      `stopped out of reach of ${entry}`
+    );
+  });
+});
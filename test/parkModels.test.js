@@ -0,0 +1,50 @@
+// The GLBs scripts/build-park.mjs writes, checked against content.json's
+// `park` without loading any geometry.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+const root = new URL("../", import.meta.url);
+const { park } = JSON.parse(
+  readFileSync(new URL("content.json", root), "utf8")
+);
+
+// The JSON chunk of a GLB.
+function readGltfJson(url) {
+  const glb = readFileSync(new URL(url, root));
+  const jsonLength = glb.readUInt32LE(12);
+  return JSON.parse(glb.toString("utf8", 20, 20 + jsonLength));
+}
+
+function getNodeNames(json) {
+  return json.nodes.map(({ name }) => name);
+}
+
+test("the base model holds the collider, the character and stand-ins", () => {
+  const base = readGltfJson(park.base);
+  const names = getNodeNames(base);
+  assert.ok(names.includes("Ground_Collider"));
+  assert.ok(names.includes("Character"));
+  assert.ok(base.extensionsUsed.includes("EXT_meshopt_compression"));
+
+  park.chunks.forEach(({ url, replaces = [] }) => {
+    replaces.forEach((name) =>
+      assert.ok(names.includes(name), `${url} replaces missing "${name}"`)
+    );
+  });
+});
+
+test("every chunk streams in detail the base model doesn't have", () => {
+  assert.ok(park.chunks.length > 0);
+  const baseNames = getNodeNames(readGltfJson(park.base));
+
+  park.chunks.forEach(({ url }) => {
+    const chunk = readGltfJson(url);
+    const names = getNodeNames(chunk);
+    assert.ok(names.length > 0, `${url} is empty`);
+    names.forEach((name) =>
+      assert.ok(!baseNames.includes(name), `"${name}" is in both GLBs`)
+    );
+    assert.ok(chunk.extensionsUsed.includes("EXT_meshopt_compression"));
+  });
+});
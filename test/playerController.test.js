@@ -0,0 +1,138 @@
+// PlayerController against a box-geometry Octree, stepped headlessly the
+// way animate() does it.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BoxGeometry, Mesh, Vector3 } from "three";
+import { Octree } from "three/addons/math/Octree.js";
+import { PlayerController } from "../modules/playerController.js";
+import { MovementInput } from "../modules/movementInput.js";
+
+// What animate() passes to step(): PHYSICS_STEP * SIMULATION_SPEED in main.js.
+const STEP = (1 / 120) * 2.1;
+
+// Boxes are [width, height, depth] centered on [x, y, z].
+function createCollider(boxes) {
+  const octree = new Octree();
+  boxes.forEach(({ size, center }) => {
+    const mesh = new Mesh(new BoxGeometry(...size));
+    mesh.position.set(...center);
+    mesh.updateMatrixWorld();
+    octree.fromGraphNode(mesh);
+  });
+  return octree;
+}
+
+// A 20 x 20 floor whose top is at y = 0, spanning -10..10 in x and z.
+const FLOOR = { size: [20, 1, 20], center: [0, -0.5, 0] };
+
+function createPlayer(boxes, spawn = new Vector3(0, 0, 0)) {
+  const input = new MovementInput();
+  const buttons = input.addButtons("test");
+  const player = new PlayerController({
+    collider: createCollider(boxes),
+    input,
+  });
+  player.setSpawn(spawn);
+  return { player, input, buttons };
+}
+
+function run(player, seconds) {
+  for (let time = 0; time < seconds; time += STEP) player.step(STEP);
+}
+
+test("walks across a flat floor and stays on it", () => {
+  const { player, buttons } = createPlayer([FLOOR]);
+  let hops = 0;
+  player.addEventListener("hop", () => hops++);
+
+  run(player, 0.5);
+  assert.ok(player.onFloor);
+  assert.ok(Math.abs(player.position.y) < 0.05);
+
+  // Screen up is +z. A tap starts one full hop, which lands on its own.
+  buttons.up = true;
+  run(player, 0.1);
+  buttons.up = false;
+  run(player, 1.5);
+
+  assert.equal(hops, 1);
+  assert.ok(player.position.z > 4, `only got to z = ${player.position.z}`);
+  assert.ok(Math.abs(player.position.x) < 0.01);
+  assert.ok(player.onFloor);
+  assert.ok(Math.abs(player.position.y) < 0.05);
+});
+
+test("diagonal input hops as far as straight input", () => {
+  // Returns how far one tapped hop carries the character from the middle.
+  const hop = (pressed) => {
+    const { player, input, buttons } = createPlayer([FLOOR]);
+    run(player, 0.5);
+    pressed.forEach((button) => (buttons[button] = true));
+    assert.ok(Math.abs(input.getVector().length() - 1) < 1e-9);
+    run(player, 0.1);
+    pressed.forEach((button) => (buttons[button] = false));
+    run(player, 1.5);
+    return Math.hypot(player.position.x, player.position.z);
+  };
+
+  const straight = hop(["up"]);
+  const diagonal = hop(["up", "left"]);
+  assert.ok(straight > 4, `only got to ${straight}`);
+  assert.ok(
+    Math.abs(diagonal - straight) < 0.05,
+    `diagonal hop went ${diagonal}, straight ${straight}`
+  );
+});
+
+test("falls off the edge and respawns at the spawn point", () => {
+  const spawn = new Vector3(0, 0, 8);
+  const { player, buttons } = createPlayer([FLOOR], spawn);
+  let respawns = 0;
+  player.addEventListener("respawn", () => respawns++);
+
+  buttons.up = true;
+  run(player, 1);
+  buttons.up = false;
+  assert.ok(player.position.z > 10, "should have hopped past the edge");
+  assert.ok(player.position.y < 0, "should be falling");
+
+  run(player, 3);
+  assert.equal(respawns, 1);
+  run(player, 0.5);
+  assert.ok(player.position.distanceTo(spawn) < 0.05);
+  assert.ok(player.onFloor);
+});
+
+test("respawn() puts the character back at spawn, standing still", () => {
+  const spawn = new Vector3(2, 0, -3);
+  const { player } = createPlayer([FLOOR], spawn);
+  let respawns = 0;
+  player.addEventListener("respawn", () => respawns++);
+
+  player.teleport(new Vector3(-5, 4, 5));
+  player.velocity.set(3, 2, 1);
+  player.respawn();
+
+  assert.equal(respawns, 1);
+  assert.deepEqual(player.position.toArray(), spawn.toArray());
+  assert.deepEqual(player.velocity.toArray(), [0, 0, 0]);
+  assert.equal(player.isMoving, false);
+});
+
+test("walls stop the character", () => {
+  // A wall across the floor whose near face is at z = 3.
+  const WALL = { size: [20, 6, 1], center: [0, 3, 3.5] };
+  const { player, buttons } = createPlayer([FLOOR, WALL]);
+  const { capsuleRadius } = player.options;
+
+  buttons.up = true;
+  let furthest = -Infinity;
+  for (let time = 0; time < 4; time += STEP) {
+    player.step(STEP);
+    furthest = Math.max(furthest, player.position.z);
+  }
+
+  assert.ok(furthest <= 3 - capsuleRadius + 0.05, `reached z = ${furthest}`);
+  assert.ok(furthest > 2, "should have walked up to the wall");
+  assert.ok(player.position.y > -0.05, "shouldn't sink through the floor");
+});